@@ -0,0 +1,50 @@
+/**
+ * Create or update (by email) hospitals from a CSV file or GeoJSON FeatureCollection
+ *
+ * Usage: npm run import:hospitals -- <file> [--dry-run] [--format csv|geojson]
+ *
+ * The format is taken from the file extension unless --format is given. Columns are
+ * mapped as described in src/config/hospitalImport.js. Rows with errors are skipped
+ * and listed; with --dry-run nothing is saved.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { detectFormat, importHospitals } = require('../src/services/hospitalImportService');
+
+const args = process.argv.slice(2);
+const file = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--format');
+const dryRun = args.includes('--dry-run');
+const formatIndex = args.indexOf('--format');
+const format = formatIndex >= 0 ? args[formatIndex + 1] : detectFormat(file);
+
+const run = async () => {
+  if (!file) {
+    throw new Error('Usage: npm run import:hospitals -- <file> [--dry-run] [--format csv|geojson]');
+  }
+
+  const content = fs.readFileSync(file);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ambulance-booking');
+  console.log('Connected to MongoDB');
+
+  const summary = await importHospitals(content, { format, dryRun });
+
+  summary.rows
+    .filter(row => row.errors.length > 0)
+    .forEach(row => console.log(`Row ${row.row} (${row.email || 'no email'}): ${row.errors.join('; ')}`));
+
+  console.log(
+    `${dryRun ? 'Dry run: would create' : 'Created'} ${summary.created}, ` +
+    `${dryRun ? 'would update' : 'updated'} ${summary.updated}, ` +
+    `skipped ${summary.skipped} of ${summary.total} row(s)`
+  );
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Import failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
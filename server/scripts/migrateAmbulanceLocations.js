@@ -0,0 +1,68 @@
+/**
+ * Migrate ambulance locations from {lat, lng} objects to GeoJSON Points
+ *
+ * Usage: npm run migrate:ambulance-locations
+ *
+ * Safe to run more than once: documents that already hold a GeoJSON Point are skipped.
+ * The old 2dsphere index could never be built on {lat, lng}, so it is dropped and
+ * the schema indexes are rebuilt once every document has been converted.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ambulance = require('../src/models/Ambulance');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ambulance-booking');
+  console.log('Connected to MongoDB');
+
+  const collection = Ambulance.collection;
+  const cursor = collection.find({
+    'currentLocation.lat': { $exists: true },
+    'currentLocation.lng': { $exists: true }
+  });
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for await (const doc of cursor) {
+    const { lat, lng, updatedAt } = doc.currentLocation;
+
+    if (typeof lat !== 'number' || typeof lng !== 'number') {
+      console.warn(`Skipping ambulance ${doc.registrationNumber}: invalid coordinates`);
+      skipped += 1;
+      continue;
+    }
+
+    await collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          currentLocation: {
+            type: 'Point',
+            coordinates: [lng, lat],
+            updatedAt: updatedAt || doc.updatedAt || new Date()
+          }
+        }
+      }
+    );
+    migrated += 1;
+  }
+
+  // Drop the unusable index (if it exists) and build the schema indexes
+  try {
+    await collection.dropIndex('currentLocation_2dsphere');
+  } catch (error) {
+    // Index did not exist
+  }
+  await Ambulance.syncIndexes();
+
+  console.log(`Migrated ${migrated} ambulance(s), skipped ${skipped}`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
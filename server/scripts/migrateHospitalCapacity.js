@@ -0,0 +1,95 @@
+/**
+ * Migrate hospital capacity from the flat emergencyCapacity {total, available} pair to
+ * per-unit bed totals and the bed reservation ledger
+ *
+ * Usage: npm run migrate:hospital-capacity
+ *
+ * Safe to run more than once:
+ * - the old total becomes the general (emergency department) unit, and hospitals
+ *   without emergencyCapacity are left alone
+ * - free beds are now derived from reservations, so stored available counts are removed
+ * - active emergencies heading to a hospital without a reservation get one in their
+ *   unit (general when none was recorded)
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Hospital = require('../src/models/Hospital');
+const Emergency = require('../src/models/Emergency');
+const BedReservation = require('../src/models/BedReservation');
+const { CAPACITY_UNITS, RESERVATION_TTL_MINUTES } = require('../src/config/capacity');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ambulance-booking');
+  console.log('Connected to MongoDB');
+
+  const collection = Hospital.collection;
+  const cursor = collection.find({ emergencyCapacity: { $exists: true } });
+
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    const { total = 0 } = doc.emergencyCapacity || {};
+
+    await collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          'capacity.general.total': total,
+          'capacity.icu.total': 0,
+          'capacity.trauma.total': 0,
+          'capacity.pediatric.total': 0,
+          'capacity.maternity.total': 0
+        },
+        $unset: { emergencyCapacity: '' }
+      }
+    );
+    migrated += 1;
+  }
+
+  await collection.updateMany(
+    {},
+    { $unset: Object.fromEntries(CAPACITY_UNITS.map(unit => [`capacity.${unit}.available`, ''])) }
+  );
+
+  await BedReservation.syncIndexes();
+
+  const reserved = await BedReservation.distinct('emergency', { status: 'active' });
+  const heading = await Emergency.find({
+    _id: { $nin: reserved },
+    status: { $in: ['pending', 'assigned', 'en_route', 'arrived_at_patient', 'transporting', 'arrived_at_hospital'] },
+    hospital: { $ne: null }
+  }).select('hospital hospitalUnit');
+
+  let backfilled = 0;
+
+  for (const emergency of heading) {
+    const unit = emergency.hospitalUnit || 'general';
+    const taken = await BedReservation.find({ hospital: emergency.hospital, unit, status: 'active' }).distinct('slot');
+    let slot = 0;
+    while (taken.includes(slot)) {
+      slot += 1;
+    }
+
+    // Beds held beyond a unit's total show up as overbooked in the capacity report
+    await BedReservation.create({
+      hospital: emergency.hospital,
+      unit,
+      emergency: emergency._id,
+      slot,
+      expiresAt: new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000),
+      reason: 'Backfilled by migration'
+    });
+    await Emergency.updateOne({ _id: emergency._id }, { hospitalUnit: unit });
+    backfilled += 1;
+  }
+
+  console.log(`Migrated ${migrated} hospital(s), backfilled ${backfilled} bed reservation(s)`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,27 @@
+/**
+ * Scheduled patient transport configuration
+ */
+
+// Time an ambulance stays blocked after the pickup window closes, to finish the trip
+const BOOKING_TRIP_MINUTES = parseInt(process.env.BOOKING_TRIP_MINUTES) || 90;
+
+// How long before the pickup window opens a booking becomes a live trip
+const BOOKING_CONVERSION_LEAD_MINUTES = parseInt(process.env.BOOKING_CONVERSION_LEAD_MINUTES) || 30;
+
+// How often the scheduler looks for bookings to convert
+const BOOKING_SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.BOOKING_SCHEDULER_INTERVAL_SECONDS) || 60;
+
+// An ambulance booked for a pickup window opening within this many minutes is kept for
+// it: ranking and the dispatch queue do not offer it other work
+const BOOKING_DISPATCH_HOLD_MINUTES = parseInt(process.env.BOOKING_DISPATCH_HOLD_MINUTES) || 60;
+
+// Upper bound on the number of bookings one recurring request can create
+const MAX_RECURRING_OCCURRENCES = 52;
+
+module.exports = {
+  BOOKING_TRIP_MINUTES,
+  BOOKING_CONVERSION_LEAD_MINUTES,
+  BOOKING_SCHEDULER_INTERVAL_SECONDS,
+  BOOKING_DISPATCH_HOLD_MINUTES,
+  MAX_RECURRING_OCCURRENCES
+};
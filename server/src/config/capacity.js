@@ -0,0 +1,36 @@
+/**
+ * Hospital capacity configuration
+ *
+ * Beds are counted per unit. general is the emergency department itself; the other
+ * units only take the patients that need them. Each unit's total is the number of beds
+ * the hospital has open for ambulance patients; a bed is held for an emergency by a
+ * reservation (models/BedReservation.js) and free beds are the total less those held.
+ * A handover closes the reservation as consumed and takes the bed off the total, since
+ * the patient now occupies it; the hospital adds it back through a capacity update once
+ * the patient leaves.
+ */
+const CAPACITY_UNITS = ['general', 'icu', 'trauma', 'pediatric', 'maternity'];
+
+/**
+ * Units an emergency needs a bed in, checked in order; anything else goes to general.
+ * Children always go to the pediatric unit, which has its own intensive care.
+ */
+const UNIT_RULES = [
+  { unit: 'pediatric', pediatric: true },
+  { unit: 'maternity', emergencyTypes: ['pregnancy'] },
+  { unit: 'icu', emergencyTypes: ['cardiac', 'respiratory', 'neurological'], severities: ['critical'] },
+  { unit: 'trauma', emergencyTypes: ['trauma', 'accident', 'burn'], severities: ['high', 'critical'] }
+];
+
+// A reservation lapses when its emergency has not progressed for this long
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 120;
+
+// How often lapsed reservations are looked for
+const RESERVATION_SWEEP_INTERVAL_SECONDS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60;
+
+module.exports = {
+  CAPACITY_UNITS,
+  UNIT_RULES,
+  RESERVATION_TTL_MINUTES,
+  RESERVATION_SWEEP_INTERVAL_SECONDS
+};
@@ -0,0 +1,16 @@
+/**
+ * Emergency chat configuration
+ */
+
+// How long a receiver's device has to acknowledge a live message before it stays "sent"
+const MESSAGE_DELIVERY_TIMEOUT_MS = parseInt(process.env.MESSAGE_DELIVERY_TIMEOUT_MS) || 5000;
+
+// Page size when listing a conversation, and the largest page a client may ask for
+const MESSAGE_PAGE_SIZE = 50;
+const MESSAGE_PAGE_SIZE_MAX = 200;
+
+module.exports = {
+  MESSAGE_DELIVERY_TIMEOUT_MS,
+  MESSAGE_PAGE_SIZE,
+  MESSAGE_PAGE_SIZE_MAX
+};
@@ -0,0 +1,130 @@
+/**
+ * Dispatch configuration
+ *
+ * - auto: the best ambulance is offered the emergency as soon as it is created. Its driver
+ *   accepts (the ambulance is assigned) or declines; a decline, or no answer within
+ *   OFFER_TIMEOUT_SECONDS, passes the offer on to the next best ambulance
+ * - suggest: ranked candidates are stored on the emergency for a dispatcher to confirm
+ * - manual: nothing happens until someone calls PUT /api/emergencies/:id/assign
+ */
+const DISPATCH_MODES = ['auto', 'suggest', 'manual'];
+
+const DEFAULT_DISPATCH_MODE = DISPATCH_MODES.includes(process.env.DISPATCH_MODE)
+  ? process.env.DISPATCH_MODE
+  : 'manual';
+
+// Search radius (meters) and number of candidates considered per emergency
+const DISPATCH_SEARCH_RADIUS = parseInt(process.env.DISPATCH_SEARCH_RADIUS) || 20000;
+const DISPATCH_CANDIDATE_LIMIT = parseInt(process.env.DISPATCH_CANDIDATE_LIMIT) || 5;
+
+// Responses slower than this score zero on proximity
+const MAX_RESPONSE_SECONDS = 30 * 60;
+
+// How long a driver has to accept or decline an offer before it moves on
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.OFFER_TIMEOUT_SECONDS) || 60;
+
+// Used when the routing service cannot give a travel time
+const AVERAGE_SPEED_KMH = parseInt(process.env.AVERAGE_SPEED_KMH) || 40;
+
+/**
+ * Ambulance types and equipment suited to each emergency type.
+ * `types` are listed best first; `features` are the equipment the crew will want.
+ */
+const EMERGENCY_REQUIREMENTS = {
+  cardiac: {
+    types: ['critical', 'advanced'],
+    features: ['defibrillator', 'ecg', 'oxygen']
+  },
+  respiratory: {
+    types: ['critical', 'advanced'],
+    features: ['oxygen', 'ventilator']
+  },
+  neurological: {
+    types: ['advanced', 'critical'],
+    features: ['oxygen', 'blood_pressure_monitor', 'glucose_monitor']
+  },
+  burn: {
+    types: ['critical', 'advanced'],
+    features: ['oxygen', 'stretcher']
+  },
+  pregnancy: {
+    types: ['neonatal', 'advanced'],
+    features: ['stretcher', 'oxygen']
+  },
+  accident: {
+    types: ['advanced', 'critical', 'basic'],
+    features: ['stretcher', 'oxygen']
+  },
+  trauma: {
+    types: ['critical', 'advanced'],
+    features: ['stretcher', 'oxygen', 'blood_pressure_monitor']
+  },
+  other: {
+    types: ['basic', 'advanced'],
+    features: ['stretcher']
+  }
+};
+
+/**
+ * How much proximity and capability count for each severity.
+ * The more severe the call, the more the right equipment matters.
+ */
+const SEVERITY_WEIGHTS = {
+  low: { proximity: 0.8, capability: 0.2 },
+  medium: { proximity: 0.7, capability: 0.3 },
+  high: { proximity: 0.6, capability: 0.4 },
+  critical: { proximity: 0.5, capability: 0.5 }
+};
+
+/**
+ * Hospital specialties that can treat each emergency type.
+ * Types with no entry can go to any emergency department.
+ */
+const EMERGENCY_SPECIALTIES = {
+  cardiac: ['cardiac'],
+  burn: ['burns'],
+  pregnancy: ['obstetric', 'neonatal'],
+  trauma: ['trauma'],
+  accident: ['trauma'],
+  neurological: ['stroke'],
+  respiratory: [],
+  other: []
+};
+
+// Hospital search radius (meters) and the transport time that scores zero
+const HOSPITAL_SEARCH_RADIUS = parseInt(process.env.HOSPITAL_SEARCH_RADIUS) || 30000;
+
+// Nearest hospitals scored per recommendation, before ineligible ones are dropped
+const HOSPITAL_CANDIDATE_POOL = parseInt(process.env.HOSPITAL_CANDIDATE_POOL) || 25;
+const MAX_TRANSPORT_SECONDS = 45 * 60;
+
+/**
+ * Dispatch queue priority for pending emergencies.
+ * Every waiting minute adds QUEUE_AGING_PER_MINUTE points, so a low-severity
+ * call that has waited long enough overtakes newer, more severe ones.
+ */
+const QUEUE_SEVERITY_PRIORITY = {
+  low: 100,
+  medium: 300,
+  high: 600,
+  critical: 1000
+};
+const QUEUE_AGING_PER_MINUTE = parseInt(process.env.QUEUE_AGING_PER_MINUTE) || 10;
+
+module.exports = {
+  DISPATCH_MODES,
+  DEFAULT_DISPATCH_MODE,
+  DISPATCH_SEARCH_RADIUS,
+  DISPATCH_CANDIDATE_LIMIT,
+  MAX_RESPONSE_SECONDS,
+  OFFER_TIMEOUT_SECONDS,
+  AVERAGE_SPEED_KMH,
+  EMERGENCY_REQUIREMENTS,
+  SEVERITY_WEIGHTS,
+  EMERGENCY_SPECIALTIES,
+  HOSPITAL_SEARCH_RADIUS,
+  HOSPITAL_CANDIDATE_POOL,
+  MAX_TRANSPORT_SECONDS,
+  QUEUE_SEVERITY_PRIORITY,
+  QUEUE_AGING_PER_MINUTE
+};
@@ -0,0 +1,14 @@
+/**
+ * Hospital diversion configuration
+ */
+
+// Longest divert a hospital can declare in one go
+const MAX_DIVERSION_HOURS = parseInt(process.env.MAX_DIVERSION_HOURS) || 24;
+
+// How often diversions are checked for having started or ended
+const DIVERSION_CHECK_INTERVAL_SECONDS = parseInt(process.env.DIVERSION_CHECK_INTERVAL_SECONDS) || 60;
+
+module.exports = {
+  MAX_DIVERSION_HOURS,
+  DIVERSION_CHECK_INTERVAL_SECONDS
+};
@@ -0,0 +1,22 @@
+/**
+ * Geofence configuration for automatic arrival detection
+ */
+
+// propose: ask the driver to confirm the detected arrival, apply: change the status straight away
+const GEOFENCE_MODES = ['propose', 'apply'];
+const GEOFENCE_MODE = GEOFENCE_MODES.includes(process.env.GEOFENCE_MODE)
+  ? process.env.GEOFENCE_MODE
+  : 'propose';
+
+// Radius around the pickup coordinates that counts as arrived at the patient
+const PICKUP_GEOFENCE_RADIUS = parseInt(process.env.PICKUP_GEOFENCE_RADIUS) || 100; // meters
+
+// Radius around the hospital location that counts as arrived at the hospital (campuses are larger)
+const HOSPITAL_GEOFENCE_RADIUS = parseInt(process.env.HOSPITAL_GEOFENCE_RADIUS) || 250; // meters
+
+module.exports = {
+  GEOFENCE_MODES,
+  GEOFENCE_MODE,
+  PICKUP_GEOFENCE_RADIUS,
+  HOSPITAL_GEOFENCE_RADIUS
+};
@@ -0,0 +1,43 @@
+/**
+ * Bulk hospital import configuration
+ */
+
+// Largest file accepted by POST /api/hospitals/import
+const MAX_IMPORT_FILE_BYTES = (parseInt(process.env.MAX_IMPORT_FILE_MB) || 5) * 1024 * 1024;
+
+// File extensions accepted and the format each one is read as
+const IMPORT_FILE_FORMATS = {
+  csv: 'csv',
+  geojson: 'geojson',
+  json: 'geojson'
+};
+
+// Most rows (or GeoJSON features) imported in one go
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 2000;
+
+/**
+ * Columns (and GeoJSON properties) read for each hospital field. Names are compared
+ * without case, spaces, dots or underscores, so "Zip Code", "zip_code" and
+ * "address.zipCode" all match zipcode.
+ */
+const IMPORT_COLUMNS = {
+  name: ['name', 'hospitalname'],
+  email: ['email'],
+  phone: ['phone', 'phonenumber', 'telephone'],
+  street: ['street', 'addressstreet', 'address'],
+  city: ['city', 'addresscity'],
+  state: ['state', 'addressstate', 'province', 'region'],
+  zipCode: ['zipcode', 'zip', 'postcode', 'postalcode', 'addresszipcode'],
+  country: ['country', 'addresscountry'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  specialties: ['specialties', 'specialities'],
+  paymentMethods: ['paymentmethods', 'payment']
+};
+
+module.exports = {
+  MAX_IMPORT_FILE_BYTES,
+  IMPORT_FILE_FORMATS,
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS
+};
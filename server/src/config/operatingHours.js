@@ -0,0 +1,17 @@
+/**
+ * Hospital operating hours configuration
+ *
+ * Opening times are wall clock times in the hospital's own timezone
+ * (operatingHours.timezone), with holidays overriding the weekday and weekend hours.
+ */
+
+// Timezone of hospitals that have not set one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// How many days ahead the next opening of a closed hospital is looked for
+const OPENING_LOOKAHEAD_DAYS = 14;
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  OPENING_LOOKAHEAD_DAYS
+};
@@ -1,7 +1,43 @@
+const mongoose = require('mongoose');
 const { Server } = require('socket.io');
+const Ambulance = require('../models/Ambulance');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const LocationHistory = require('../models/LocationHistory');
+const { socketProtect } = require('../middlewares/socketAuth');
+const { isAssignedDriver, canJoinRoom } = require('../services/accessService');
+const { acceptOffer, declineOffer } = require('../services/dispatchService');
+const { refreshEmergencyETA } = require('../services/etaService');
+const { checkGeofences } = require('../services/geofenceService');
+const { transitionEmergency } = require('../services/emergencyStatus');
+const { EVENTS, CLIENT_EVENTS, ROOMS, setIO, publish } = require('../services/realtime');
+const { toLatLng } = require('../utils/geoUtils');
 
 /**
- * Initialize socket.io with HTTP server
+ * Rooms a user is placed in as soon as they connect
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Room names
+ */
+const getPersonalRooms = async (user) => {
+  const rooms = [ROOMS.user(user._id)];
+
+  if (user.role === 'admin') {
+    rooms.push(ROOMS.admins);
+  }
+  if (user.role !== 'admin') {
+    // Hospital administrators and ER staff follow the hospital's room
+    const hospitals = await Hospital.find({
+      $or: [{ administrators: user._id }, { erStaff: user._id }]
+    }).select('_id');
+    rooms.push(...hospitals.map(hospital => ROOMS.hospital(hospital._id)));
+  }
+
+  return rooms;
+};
+
+/**
+ * Initialize socket.io with HTTP server. Every connection must carry a valid JWT;
+ * the events it may send and receive are listed in services/realtime/events.js.
  * @param {Object} httpServer - HTTP server instance
  * @returns {Object} Socket.io server instance
  */
@@ -13,45 +49,187 @@ const initializeSocket = (httpServer) => {
     }
   });
 
+  setIO(io);
+  io.use(socketProtect);
+
   // Socket connection handler
-  io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
+  io.on('connection', async (socket) => {
+    console.log('Client connected:', socket.id, socket.user._id.toString());
+
+    // Load the emergency an inbound driver event is about, only for its assigned driver
+    const loadDriverEmergency = async (emergencyId) => {
+      if (!mongoose.isValidObjectId(emergencyId)) {
+        return null;
+      }
+
+      const emergency = await Emergency.findById(emergencyId);
+      return emergency && (await isAssignedDriver(emergency, socket.user)) ? emergency : null;
+    };
+
+    // A driver between jobs still reports their position, so the ambulance stays fresh
+    // for dispatch; only the emergency specific work (geofences, ETA, its room) is skipped
+    const updateIdleLocation = async (data) => {
+      const { lat, lng } = data;
+      if (typeof lat !== 'number' || typeof lng !== 'number' || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return { success: false, message: 'Valid lat and lng are required' };
+      }
+
+      const ambulance = await Ambulance.findOne({ driver: socket.user._id });
+      if (!ambulance) {
+        return { success: false, message: 'No ambulance is assigned to you' };
+      }
+
+      await ambulance.updateLocation(lat, lng);
+      await LocationHistory.record(ambulance._id, null, lat, lng, {
+        speed: data.speed,
+        heading: data.heading
+      });
+
+      publish([
+        ROOMS.admins,
+        ambulance.hospital && ROOMS.hospital(ambulance.hospital)
+      ], EVENTS.AMBULANCE_LOCATION_UPDATED, {
+        ambulanceId: ambulance._id,
+        location: {
+          ...toLatLng(ambulance.currentLocation),
+          updatedAt: ambulance.currentLocation.updatedAt
+        },
+        emergencyId: null,
+        eta: null,
+        transition: null
+      });
 
-    // Handle ambulance location updates
-    socket.on('update-ambulance-location', (data) => {
-      // Broadcast to all clients except sender
-      socket.broadcast.emit('ambulance-location-updated', data);
+      return { success: true, data: { eta: null, transition: null } };
+    };
+
+    // Join a room the user is allowed to follow; a bare id means that emergency
+    socket.on(CLIENT_EVENTS.JOIN, async (room, callback = () => {}) => {
+      try {
+        const name = typeof room === 'string' && !room.includes(':') ? ROOMS.emergency(room) : room;
+        if (!(await canJoinRoom(name, socket.user))) {
+          return callback({ success: false, message: 'Not authorized to join this room' });
+        }
+
+        socket.join(name);
+        console.log(`Socket ${socket.id} joined room: ${name}`);
+        callback({ success: true, room: name });
+      } catch (error) {
+        console.error('Error joining room:', error);
+        callback({ success: false, message: error.message });
+      }
+    });
+
+    // Handle user leaving a room
+    socket.on(CLIENT_EVENTS.LEAVE, (room) => {
+      const name = typeof room === 'string' && !room.includes(':') ? ROOMS.emergency(room) : room;
+      socket.leave(name);
+      console.log(`Socket ${socket.id} left room: ${name}`);
     });
 
-    // Handle emergency requests
-    socket.on('emergency-request', (data) => {
-      io.emit('new-emergency', data);
+    // Location updates from the assigned driver, or from any driver when no emergency is given
+    socket.on(CLIENT_EVENTS.UPDATE_LOCATION, async (data = {}, callback = () => {}) => {
+      try {
+        if (!data.emergencyId) {
+          return callback(await updateIdleLocation(data));
+        }
+
+        const emergency = await loadDriverEmergency(data.emergencyId);
+        if (!emergency) {
+          return callback({ success: false, message: 'Not authorized to update this emergency' });
+        }
+
+        let eta = null;
+        let transition = null;
+        if (data.lat !== undefined && data.lng !== undefined) {
+          const position = { lat: data.lat, lng: data.lng };
+
+          // Keep the ambulance's own position fresh too, the location watchdog reads it
+          const ambulance = await Ambulance.findById(emergency.ambulance);
+          if (ambulance) {
+            await ambulance.updateLocation(data.lat, data.lng);
+          }
+
+          await LocationHistory.record(emergency.ambulance, emergency._id, data.lat, data.lng, {
+            speed: data.speed,
+            heading: data.heading
+          });
+          transition = await checkGeofences(emergency, position);
+          eta = await refreshEmergencyETA(emergency, position);
+        }
+
+        publish([ROOMS.emergency(emergency._id), ROOMS.admins], EVENTS.AMBULANCE_LOCATION_UPDATED, {
+          ambulanceId: emergency.ambulance,
+          emergencyId: emergency._id,
+          location: { lat: data.lat, lng: data.lng, updatedAt: new Date() },
+          eta,
+          transition
+        });
+        callback({ success: true, data: { eta, transition } });
+      } catch (error) {
+        console.error('Error processing location update:', error);
+        callback({ success: false, message: error.message });
+      }
     });
 
-    // Handle chat messages
-    socket.on('send-message', (data) => {
-      io.to(data.roomId).emit('new-message', data);
+    // Status changes, checked by the same state machine as PUT /api/emergencies/:id/status
+    socket.on(CLIENT_EVENTS.UPDATE_EMERGENCY_STATUS, async (data = {}, callback = () => {}) => {
+      try {
+        const emergency = mongoose.isValidObjectId(data.emergencyId)
+          ? await Emergency.findById(data.emergencyId).populate('ambulance')
+          : null;
+        if (!emergency) {
+          return callback({ success: false, message: 'Emergency not found' });
+        }
+
+        await transitionEmergency(emergency, data.status, { user: socket.user, notes: data.notes });
+        callback({
+          success: true,
+          data: { status: emergency.status, eta: emergency.eta && emergency.eta.leg ? emergency.eta : null }
+        });
+      } catch (error) {
+        callback({ success: false, message: error.message });
+      }
     });
 
-    // Handle user joining a chat room
-    socket.on('join-room', (roomId) => {
-      socket.join(roomId);
-      console.log(`Socket ${socket.id} joined room: ${roomId}`);
+    // Drivers answer dispatch offers
+    socket.on(CLIENT_EVENTS.ACCEPT_OFFER, async (data = {}, callback = () => {}) => {
+      try {
+        const { emergency, ambulance } = await acceptOffer(data.emergencyId, socket.user._id);
+        callback({
+          success: true,
+          data: { emergencyId: emergency._id, status: emergency.status, ambulanceId: ambulance._id }
+        });
+      } catch (error) {
+        callback({ success: false, message: error.message });
+      }
     });
 
-    // Handle user leaving a chat room
-    socket.on('leave-room', (roomId) => {
-      socket.leave(roomId);
-      console.log(`Socket ${socket.id} left room: ${roomId}`);
+    socket.on(CLIENT_EVENTS.DECLINE_OFFER, async (data = {}, callback = () => {}) => {
+      try {
+        const { emergency, nextAmbulance } = await declineOffer(data.emergencyId, socket.user._id, data.reason);
+        callback({
+          success: true,
+          data: { emergencyId: emergency._id, status: emergency.status, reoffered: !!nextAmbulance }
+        });
+      } catch (error) {
+        callback({ success: false, message: error.message });
+      }
     });
 
     // Handle disconnection
     socket.on('disconnect', () => {
       console.log('Client disconnected:', socket.id);
     });
+
+    // Personal, admin and hospital rooms
+    try {
+      socket.join(await getPersonalRooms(socket.user));
+    } catch (error) {
+      console.error('Error joining personal rooms:', error);
+    }
   });
 
   return io;
 };
 
-module.exports = { initializeSocket }; 
\ No newline at end of file
+module.exports = { initializeSocket };
@@ -0,0 +1,63 @@
+const path = require('path');
+
+/**
+ * Media storage configuration for message attachments
+ */
+
+// local (files on this server's disk) or s3 (any S3-compatible object store)
+const STORAGE_DRIVERS = ['local', 's3'];
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+// Where the local driver keeps files
+const MEDIA_STORAGE_DIR = process.env.MEDIA_STORAGE_DIR || path.resolve(__dirname, '../../uploads');
+
+// S3-compatible driver; set S3_ENDPOINT for MinIO and the like
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE === 'true';
+
+// How long a signed attachment URL stays valid
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 900;
+
+// Accepted MIME types (with the extension files are stored under) and size limit per attachment type
+const ATTACHMENT_TYPES = {
+  image: {
+    mimeTypes: { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' },
+    maxBytes: 10 * 1024 * 1024
+  },
+  audio: {
+    mimeTypes: {
+      'audio/mpeg': '.mp3',
+      'audio/mp4': '.m4a',
+      'audio/aac': '.aac',
+      'audio/ogg': '.ogg',
+      'audio/webm': '.weba',
+      'audio/wav': '.wav'
+    },
+    maxBytes: 20 * 1024 * 1024
+  },
+  document: {
+    mimeTypes: { 'application/pdf': '.pdf' },
+    maxBytes: 10 * 1024 * 1024
+  }
+};
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// Image thumbnails fit within this box
+const THUMBNAIL_SIZE = 320;
+
+module.exports = {
+  STORAGE_DRIVERS,
+  STORAGE_DRIVER,
+  MEDIA_STORAGE_DIR,
+  S3_BUCKET,
+  S3_REGION,
+  S3_ENDPOINT,
+  S3_FORCE_PATH_STYLE,
+  MEDIA_URL_TTL_SECONDS,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  THUMBNAIL_SIZE
+};
@@ -0,0 +1,26 @@
+/**
+ * GPS tracking and mileage configuration
+ */
+
+// Trail points that imply a faster speed than this are treated as GPS glitches
+const MAX_PLAUSIBLE_SPEED_KMH = parseInt(process.env.MAX_PLAUSIBLE_SPEED_KMH) || 200;
+
+// An ambulance that has not reported its location for this long is not dispatched
+const STALE_LOCATION_SECONDS = parseInt(process.env.STALE_LOCATION_SECONDS) || 300;
+
+// An available ambulance silent for this long is marked offline
+const OFFLINE_GRACE_SECONDS = parseInt(process.env.OFFLINE_GRACE_SECONDS) || 1800;
+
+// How often the watchdog looks for stale locations
+const LOCATION_WATCHDOG_INTERVAL_SECONDS = parseInt(process.env.LOCATION_WATCHDOG_INTERVAL_SECONDS) || 60;
+
+// Date range covered by the mileage report when none is given
+const MILEAGE_REPORT_DEFAULT_DAYS = 30;
+
+module.exports = {
+  MAX_PLAUSIBLE_SPEED_KMH,
+  STALE_LOCATION_SECONDS,
+  OFFLINE_GRACE_SECONDS,
+  LOCATION_WATCHDOG_INTERVAL_SECONDS,
+  MILEAGE_REPORT_DEFAULT_DAYS
+};
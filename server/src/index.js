@@ -3,8 +3,13 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const http = require('http');
-const { Server } = require('socket.io');
 const connectDB = require('./config/db');
+const { initializeSocket } = require('./config/socket');
+const { resumePendingOffers } = require('./services/dispatchService');
+const { startBookingScheduler } = require('./services/bookingService');
+const { startLocationWatchdog } = require('./services/locationWatchdogService');
+const { startReservationSweeper } = require('./services/capacityService');
+const { startDiversionScheduler } = require('./services/diversionService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -13,6 +18,11 @@ const ambulanceRoutes = require('./routes/ambulance');
 const emergencyRoutes = require('./routes/emergency');
 const hospitalRoutes = require('./routes/hospital');
 const paymentRoutes = require('./routes/payment');
+const dispatchRoutes = require('./routes/dispatch');
+const incidentRoutes = require('./routes/incident');
+const bookingRoutes = require('./routes/booking');
+const messageRoutes = require('./routes/message');
+const mediaRoutes = require('./routes/media');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middlewares/errorHandler');
@@ -20,12 +30,9 @@ const { errorHandler, notFound } = require('./middlewares/errorHandler');
 // Initialize express app
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: process.env.CLIENT_URL || 'http://localhost:3000',
-    methods: ['GET', 'POST']
-  }
-});
+
+// Real-time events, see services/realtime/events.js for the catalogue
+initializeSocket(server);
 
 // Middleware
 app.use(cors());
@@ -48,43 +55,11 @@ app.use('/api/ambulances', ambulanceRoutes);
 app.use('/api/emergencies', emergencyRoutes);
 app.use('/api/hospitals', hospitalRoutes);
 app.use('/api/payments', paymentRoutes);
-
-// Socket.io connection
-io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
-
-  // Join a room (e.g., for tracking a specific emergency)
-  socket.on('join', (room) => {
-    socket.join(room);
-    console.log(`Socket ${socket.id} joined room: ${room}`);
-  });
-
-  // Leave a room
-  socket.on('leave', (room) => {
-    socket.leave(room);
-    console.log(`Socket ${socket.id} left room: ${room}`);
-  });
-
-  // Listen for location updates from drivers
-  socket.on('updateLocation', (data) => {
-    // Emit to all clients in the specific emergency room
-    if (data.emergencyId) {
-      io.to(data.emergencyId).emit('locationUpdated', data);
-    }
-  });
-
-  // Listen for emergency status updates
-  socket.on('updateEmergencyStatus', (data) => {
-    // Emit to all clients in the specific emergency room
-    if (data.emergencyId) {
-      io.to(data.emergencyId).emit('emergencyStatusUpdated', data);
-    }
-  });
-
-  socket.on('disconnect', () => {
-    console.log('A user disconnected:', socket.id);
-  });
-});
+app.use('/api/dispatch', dispatchRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -96,6 +71,25 @@ const PORT = process.env.PORT || 5000;
 // Connect to database
 connectDB();
 
+// Start background jobs once the database is reachable
+mongoose.connection.once('open', () => {
+  // Pick up offer timeouts that were running before a restart
+  resumePendingOffers()
+    .catch(err => console.error('Error resuming dispatch offers:', err));
+
+  // Turn scheduled transport bookings into live trips shortly before pickup
+  startBookingScheduler();
+
+  // Stop dispatching ambulances whose devices stopped reporting their location
+  startLocationWatchdog();
+
+  // Free hospital beds held for emergencies that stopped progressing
+  startReservationSweeper();
+
+  // Tell dispatchers when hospitals go on and come off divert
+  startDiversionScheduler();
+});
+
 server.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
 });
@@ -3,7 +3,8 @@
  * Provides consistent error response format across the API
  */
 const errorHandler = (err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  // Errors thrown from services carry their own status code
+  const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
   
   // Log error for server-side debugging
   console.error(`Error: ${err.message}`);
@@ -37,4 +38,16 @@ const notFound = (req, res, next) => {
 const asyncHandler = (fn) => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
-module.exports = { errorHandler, notFound, asyncHandler }; 
\ No newline at end of file
+/**
+ * Create an error with an HTTP status code, for code that has no access to res
+ * @param {Number} statusCode - HTTP status code
+ * @param {String} message - Error message
+ * @returns {Error} Error carrying statusCode
+ */
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = { errorHandler, notFound, asyncHandler, createError }; 
\ No newline at end of file
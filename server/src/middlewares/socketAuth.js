@@ -0,0 +1,39 @@
+const User = require('../models/User');
+const { verifyToken } = require('../utils/jwtUtils');
+
+/**
+ * Socket.io middleware to verify the JWT sent with the handshake and attach the user to the socket.
+ * Clients pass the token as `auth: { token }` or in a `Bearer` authorization header.
+ */
+const socketProtect = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  let token = auth.token;
+
+  if (!token && headers.authorization && headers.authorization.startsWith('Bearer')) {
+    token = headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    return next(new Error('Not authorized, no token'));
+  }
+
+  const decoded = verifyToken(token);
+  if (!decoded) {
+    return next(new Error('Not authorized, token failed'));
+  }
+
+  try {
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) {
+      return next(new Error('Not authorized, user not found'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    console.error('Socket auth error:', error);
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+module.exports = { socketProtect };
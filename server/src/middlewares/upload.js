@@ -0,0 +1,69 @@
+const multer = require('multer');
+const { ATTACHMENT_TYPES, MAX_ATTACHMENTS_PER_MESSAGE } = require('../config/storage');
+const { MAX_IMPORT_FILE_BYTES, IMPORT_FILE_FORMATS } = require('../config/hospitalImport');
+const { createError } = require('./errorHandler');
+
+const allowedMimeTypes = Object.values(ATTACHMENT_TYPES).flatMap(type => Object.keys(type.mimeTypes));
+const largestAllowed = Math.max(...Object.values(ATTACHMENT_TYPES).map(type => type.maxBytes));
+
+// Files are kept in memory until they are checked and handed to media storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: largestAllowed,
+    files: MAX_ATTACHMENTS_PER_MESSAGE
+  },
+  fileFilter: (req, file, callback) => {
+    if (!allowedMimeTypes.includes(file.mimetype)) {
+      return callback(createError(415, `File type ${file.mimetype} is not supported`));
+    }
+    callback(null, true);
+  }
+}).array('files', MAX_ATTACHMENTS_PER_MESSAGE);
+
+/**
+ * Middleware to accept message attachments sent as multipart/form-data in the "files" field.
+ * JSON requests pass straight through.
+ */
+const uploadAttachments = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return next(createError(statusCode, err.code === 'LIMIT_FILE_COUNT'
+        ? `At most ${MAX_ATTACHMENTS_PER_MESSAGE} files can be attached to a message`
+        : err.message));
+    }
+    next(err);
+  });
+};
+
+// Import files are told apart by extension, browsers label CSV with several MIME types
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const extension = file.originalname.split('.').pop().toLowerCase();
+    if (!IMPORT_FILE_FORMATS[extension]) {
+      return callback(createError(415, `Import files must be ${Object.keys(IMPORT_FILE_FORMATS).map(ext => `.${ext}`).join(', ')}`));
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+/**
+ * Middleware to accept a hospital import file sent as multipart/form-data in the "file" field.
+ * JSON requests pass straight through.
+ */
+const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(createError(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.message));
+    }
+    next(err);
+  });
+};
+
+module.exports = { uploadAttachments, uploadImportFile };
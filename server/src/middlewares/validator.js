@@ -64,7 +64,58 @@ const emergencyRequestRules = [
   body('emergencyType')
     .optional()
     .isIn(['accident', 'cardiac', 'respiratory', 'neurological', 'burn', 'pregnancy', 'trauma', 'other'])
-    .withMessage('Invalid emergency type')
+    .withMessage('Invalid emergency type'),
+  body('pediatric').optional().isBoolean().withMessage('Pediatric must be true or false').toBoolean()
+];
+
+/**
+ * Incident creation validation rules
+ */
+const incidentRules = [
+  body('title').notEmpty().withMessage('Incident title is required'),
+  body('location.address').notEmpty().withMessage('Incident address is required'),
+  body('location.coordinates.lat').isFloat().withMessage('Valid latitude is required'),
+  body('location.coordinates.lng').isFloat().withMessage('Valid longitude is required'),
+  body('commander').optional().isMongoId().withMessage('Valid commander ID is required')
+];
+
+/**
+ * Incident casualty validation rules
+ */
+const casualtyRules = [
+  body('casualties').isArray({ min: 1 }).withMessage('At least one casualty is required'),
+  body('casualties.*.severity')
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Invalid severity level'),
+  body('casualties.*.emergencyType')
+    .optional()
+    .isIn(['accident', 'cardiac', 'respiratory', 'neurological', 'burn', 'pregnancy', 'trauma', 'other'])
+    .withMessage('Invalid emergency type'),
+  body('casualties.*.patient').optional().isMongoId().withMessage('Valid patient ID is required'),
+  body('casualties.*.pediatric').optional().isBoolean().withMessage('Pediatric must be true or false').toBoolean()
+];
+
+/**
+ * Scheduled transport booking validation rules
+ */
+const bookingRules = [
+  body('purpose')
+    .isIn(['dialysis', 'discharge', 'clinic_visit', 'other'])
+    .withMessage('Invalid booking purpose'),
+  body('pickup.address').notEmpty().withMessage('Pickup address is required'),
+  body('pickup.coordinates.lat').isFloat().withMessage('Valid pickup latitude is required'),
+  body('pickup.coordinates.lng').isFloat().withMessage('Valid pickup longitude is required'),
+  body('destination.address').notEmpty().withMessage('Destination address is required'),
+  body('pickupWindow.start').isISO8601().withMessage('Valid pickup window start is required'),
+  body('pickupWindow.end').isISO8601().withMessage('Valid pickup window end is required'),
+  body('recurrence.frequency')
+    .optional()
+    .isIn(['daily', 'weekly'])
+    .withMessage('Recurrence must be daily or weekly'),
+  body('recurrence.count')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Recurrence count must be between 1 and 52')
 ];
 
 /**
@@ -72,7 +123,9 @@ const emergencyRequestRules = [
  */
 const ambulanceLocationRules = [
   body('lat').isFloat().withMessage('Valid latitude is required'),
-  body('lng').isFloat().withMessage('Valid longitude is required')
+  body('lng').isFloat().withMessage('Valid longitude is required'),
+  body('speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number').toFloat(),
+  body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360').toFloat()
 ];
 
 /**
@@ -81,7 +134,33 @@ const ambulanceLocationRules = [
 const messageRules = [
   body('emergencyId').isMongoId().withMessage('Valid emergency ID is required'),
   body('receiverId').isMongoId().withMessage('Valid receiver ID is required'),
-  body('text').notEmpty().withMessage('Message text is required')
+  body('text')
+    .if((value, { req }) => !req.files || req.files.length === 0)
+    .trim().notEmpty().withMessage('Message text is required'),
+  body('location.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required').toFloat(),
+  body('location.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required').toFloat()
+];
+
+/**
+ * Patient handover summary validation rules
+ */
+const handoverRules = [
+  body().custom(value => !!(value.vitals || (value.treatmentGiven && value.treatmentGiven.length) || value.notes))
+    .withMessage('Handover summary needs vitals, treatment given or notes'),
+  body('vitals.heartRate').optional().isInt({ min: 0, max: 300 }).withMessage('Heart rate must be between 0 and 300').toInt(),
+  body('vitals.bloodPressure')
+    .optional()
+    .matches(/^\d{2,3}\/\d{2,3}$/)
+    .withMessage('Blood pressure must look like 120/80'),
+  body('vitals.respiratoryRate').optional().isInt({ min: 0, max: 100 }).withMessage('Respiratory rate must be between 0 and 100').toInt(),
+  body('vitals.oxygenSaturation').optional().isFloat({ min: 0, max: 100 }).withMessage('Oxygen saturation must be between 0 and 100').toFloat(),
+  body('vitals.temperature').optional().isFloat({ min: 25, max: 45 }).withMessage('Temperature must be between 25 and 45').toFloat(),
+  body('vitals.gcs').optional().isInt({ min: 3, max: 15 }).withMessage('GCS must be between 3 and 15').toInt(),
+  body('vitals.bloodGlucose').optional().isFloat({ min: 0 }).withMessage('Blood glucose must be a positive number').toFloat(),
+  body('vitals.recordedAt').optional().isISO8601().withMessage('Vitals time must be a valid date'),
+  body('treatmentGiven').optional().isArray().withMessage('Treatment given must be a list'),
+  body('treatmentGiven.*').isString().trim().notEmpty().withMessage('Each treatment must be text'),
+  body('notes').optional().isString().trim()
 ];
 
 /**
@@ -99,6 +178,27 @@ const hospitalRules = [
   body('location.coordinates').isArray().withMessage('Location coordinates are required')
 ];
 
+/**
+ * Hospital unit capacity validation rules
+ */
+const capacityRules = [
+  body('total').optional().isInt({ min: 0 }).withMessage('Total beds must be a positive whole number').toInt(),
+  body('available').optional().isInt({ min: 0 }).withMessage('Available beds must be a positive whole number').toInt()
+];
+
+/**
+ * Hospital diversion validation rules
+ */
+const diversionRules = [
+  body('specialties').optional().isArray().withMessage('Specialties must be a list'),
+  body('specialties.*')
+    .isIn(['trauma', 'cardiac', 'stroke', 'burns', 'pediatric', 'psychiatric', 'obstetric', 'oncology', 'neonatal'])
+    .withMessage('Invalid specialty'),
+  body('startsAt').optional().isISO8601().withMessage('Valid diversion start is required'),
+  body('endsAt').isISO8601().withMessage('Valid diversion end is required'),
+  body('reason').isString().trim().notEmpty().withMessage('Diversion reason is required')
+];
+
 /**
  * Ambulance creation validation rules
  */
@@ -117,8 +217,14 @@ module.exports = {
   userLoginRules,
   otpVerificationRules,
   emergencyRequestRules,
+  incidentRules,
+  casualtyRules,
+  bookingRules,
   ambulanceLocationRules,
   messageRules,
+  handoverRules,
   hospitalRules,
+  capacityRules,
+  diversionRules,
   ambulanceRules
 }; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { STALE_LOCATION_SECONDS } = require('../config/tracking');
 
 const ambulanceSchema = new mongoose.Schema({
   registrationNumber: {
@@ -37,13 +38,15 @@ const ambulanceSchema = new mongoose.Schema({
     enum: ['available', 'busy', 'maintenance', 'offline'],
     default: 'offline'
   },
+  // GeoJSON Point, coordinates are [longitude, latitude]
   currentLocation: {
-    lat: {
-      type: Number,
-      required: true
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
     },
-    lng: {
-      type: Number,
+    coordinates: {
+      type: [Number],
       required: true
     },
     updatedAt: {
@@ -51,13 +54,18 @@ const ambulanceSchema = new mongoose.Schema({
       default: Date.now
     }
   },
+  // Set by the location watchdog when the device stops reporting, cleared on the next update
+  locationStaleSince: {
+    type: Date,
+    default: null
+  },
   lastMaintenanceDate: {
     type: Date
   },
   maintenanceSchedule: {
     type: Date
   },
-  // For tracking trips and mileage
+  // Kilometres driven on completed trips, measured from the recorded GPS trail
   mileage: {
     type: Number,
     default: 0
@@ -67,6 +75,12 @@ const ambulanceSchema = new mongoose.Schema({
     ref: 'Emergency',
     default: null
   },
+  // Emergency offered to the driver and waiting for accept/decline
+  pendingOffer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    default: null
+  },
   // Device token for sending notifications to the ambulance's tablet/device
   deviceToken: String
 }, {
@@ -79,35 +93,68 @@ ambulanceSchema.index({ "currentLocation": "2dsphere" });
 // Method to update ambulance location
 ambulanceSchema.methods.updateLocation = function(lat, lng) {
   this.currentLocation = {
-    lat,
-    lng,
+    type: 'Point',
+    coordinates: [lng, lat],
     updatedAt: new Date()
   };
+  this.locationStaleSince = null;
   return this.save();
 };
 
-// Method to find nearest available ambulances
-ambulanceSchema.statics.findNearestAvailable = function(coordinates, maxDistance = 10000, limit = 5, type = null) {
-  const query = {
-    status: 'available',
-    'currentLocation.lat': { $exists: true },
-    'currentLocation.lng': { $exists: true }
+// Query condition for ambulances whose location is recent enough to dispatch them
+ambulanceSchema.statics.freshLocationQuery = function(now = new Date()) {
+  return {
+    'currentLocation.updatedAt': { $gte: new Date(now.getTime() - STALE_LOCATION_SECONDS * 1000) }
   };
-  
+};
+
+// Check whether the last reported location is too old to dispatch the ambulance
+ambulanceSchema.methods.hasStaleLocation = function(now = new Date()) {
+  const updatedAt = this.currentLocation && this.currentLocation.updatedAt;
+  return !updatedAt || now - updatedAt > STALE_LOCATION_SECONDS * 1000;
+};
+
+// Method to find nearest available ambulances, each with its distance in meters
+ambulanceSchema.statics.findNearestAvailable = async function(coordinates, maxDistance = 10000, limit = 5, type = null) {
+  // Ambulances holding an unanswered offer or with a stale location are not offered anything
+  const query = { status: 'available', pendingOffer: null, ...this.freshLocationQuery() };
+
   // Add type filter if specified
   if (type) {
     query.type = type;
   }
-  
-  return this.find(query)
-    .select('registrationNumber type features currentLocation hospital driver')
-    .populate('driver', 'name phone')
-    .populate('hospital', 'name address')
-    .sort({
-      'currentLocation.updatedAt': -1 // Most recently updated locations first
-    })
-    .limit(limit)
-    .lean();
+
+  const ambulances = await this.aggregate([
+    {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates: [coordinates.lng, coordinates.lat]
+        },
+        distanceField: 'distance',
+        maxDistance,
+        spherical: true,
+        query
+      }
+    },
+    { $limit: limit },
+    {
+      $project: {
+        registrationNumber: 1,
+        type: 1,
+        features: 1,
+        currentLocation: 1,
+        hospital: 1,
+        driver: 1,
+        distance: 1
+      }
+    }
+  ]);
+
+  return this.populate(ambulances, [
+    { path: 'driver', select: 'name phone' },
+    { path: 'hospital', select: 'name address' }
+  ]);
 };
 
 const Ambulance = mongoose.model('Ambulance', ambulanceSchema);
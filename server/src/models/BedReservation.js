@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { CAPACITY_UNITS } = require('../config/capacity');
+
+// A bed held in a hospital unit for an emergency. Free beds are the unit's total less
+// its active reservations, so the ledger is the only record of who holds what.
+const bedReservationSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  unit: {
+    type: String,
+    enum: CAPACITY_UNITS,
+    required: true
+  },
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency',
+    required: true
+  },
+  // Bed number within the unit, 0 to total - 1; unique among active reservations
+  // so two dispatchers can never hold the same bed
+  slot: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: [
+      'active', // Bed held for the incoming patient
+      'consumed', // Patient handed over and occupies the bed, which is off the unit's total
+      'released', // Emergency cancelled or moved elsewhere
+      'expired' // Emergency stopped progressing and the hold lapsed
+    ],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  closedAt: Date,
+  reason: String
+}, {
+  timestamps: true
+});
+
+bedReservationSchema.index(
+  { hospital: 1, unit: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+bedReservationSchema.index(
+  { emergency: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+bedReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Static method to count active reservations per hospital and unit
+bedReservationSchema.statics.countHeld = async function(hospitalIds) {
+  const groups = await this.aggregate([
+    { $match: { hospital: { $in: hospitalIds.map(id => new mongoose.Types.ObjectId(id.toString())) }, status: 'active' } },
+    { $group: { _id: { hospital: '$hospital', unit: '$unit' }, count: { $sum: 1 } } }
+  ]);
+
+  // Keyed by "<hospitalId>:<unit>"
+  return new Map(groups.map(group => [`${group._id.hospital}:${group._id.unit}`, group.count]));
+};
+
+// Close an active reservation; returns null if it was no longer active
+bedReservationSchema.statics.close = function(filter, status, reason) {
+  return this.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { status, reason, closedAt: new Date() },
+    { new: true }
+  );
+};
+
+const BedReservation = mongoose.model('BedReservation', bedReservationSchema);
+
+module.exports = BedReservation;
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const bookingSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['dialysis', 'discharge', 'clinic_visit', 'other'],
+    required: [true, 'Booking purpose is required']
+  },
+  pickup: {
+    address: {
+      type: String,
+      required: [true, 'Pickup address is required']
+    },
+    coordinates: {
+      lat: {
+        type: Number,
+        required: [true, 'Pickup latitude is required']
+      },
+      lng: {
+        type: Number,
+        required: [true, 'Pickup longitude is required']
+      }
+    }
+  },
+  destination: {
+    address: {
+      type: String,
+      required: [true, 'Destination address is required']
+    },
+    coordinates: {
+      lat: Number,
+      lng: Number
+    },
+    hospital: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital'
+    }
+  },
+  // Time window in which the patient expects to be picked up
+  pickupWindow: {
+    start: {
+      type: Date,
+      required: [true, 'Pickup window start is required']
+    },
+    end: {
+      type: Date,
+      required: [true, 'Pickup window end is required']
+    }
+  },
+  // The ambulance is blocked from pickupWindow.start until this time
+  blockedUntil: {
+    type: Date,
+    required: true
+  },
+  requirements: {
+    ambulanceType: {
+      type: String,
+      enum: ['basic', 'advanced', 'critical', 'patient-transport', 'neonatal'],
+      default: 'patient-transport'
+    },
+    features: [{
+      type: String,
+      enum: [
+        'oxygen', 'ventilator', 'defibrillator', 'ecg', 'wheelchair',
+        'stretcher', 'blood_pressure_monitor', 'glucose_monitor'
+      ]
+    }]
+  },
+  ambulance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ambulance'
+  },
+  // Shared by every booking created from one recurring request
+  series: {
+    id: mongoose.Schema.Types.ObjectId,
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly']
+    },
+    occurrence: Number
+  },
+  status: {
+    type: String,
+    enum: [
+      'scheduled', // Ambulance blocked off, waiting for pickup time
+      'converted', // Turned into a live trip
+      'cancelled'
+    ],
+    default: 'scheduled'
+  },
+  emergency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+bookingSchema.index({ ambulance: 1, 'pickupWindow.start': 1, blockedUntil: 1 });
+bookingSchema.index({ status: 1, 'pickupWindow.start': 1 });
+
+// Static method to find bookings that hold an ambulance during a time range. A converted
+// booking keeps holding it until blockedUntil, while its trip is under way.
+bookingSchema.statics.findOverlapping = function(start, end, ambulanceIds = null) {
+  const query = {
+    status: { $in: ['scheduled', 'converted'] },
+    'pickupWindow.start': { $lt: end },
+    blockedUntil: { $gt: start }
+  };
+
+  if (ambulanceIds) {
+    query.ambulance = { $in: ambulanceIds };
+  }
+
+  return this.find(query).select('ambulance pickupWindow blockedUntil emergency').lean();
+};
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
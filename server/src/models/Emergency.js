@@ -1,10 +1,25 @@
 const mongoose = require('mongoose');
+const { CAPACITY_UNITS } = require('../config/capacity');
 
 const emergencySchema = new mongoose.Schema({
+  // Casualties at an incident scene may not be identified yet
   patient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.incident;
+    }
+  },
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  // Triage tag or description for unidentified casualties, e.g. "Casualty 3 - red tag"
+  casualtyLabel: String,
+  // Scheduled transport booking this trip was created from
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
   },
   requestedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,6 +41,7 @@ const emergencySchema = new mongoose.Schema({
       'arrived_at_patient', // Ambulance reached patient location
       'transporting', // Patient picked up, en route to hospital
       'arrived_at_hospital', // Arrived at hospital
+      'patient_handed_over', // Crew handed the patient over to the hospital
       'completed', // Service completed
       'cancelled' // Emergency cancelled
     ],
@@ -39,6 +55,11 @@ const emergencySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Hospital'
   },
+  // Hospital unit a bed was taken in for this patient
+  hospitalUnit: {
+    type: String,
+    enum: CAPACITY_UNITS
+  },
   location: {
     pickup: {
       address: {
@@ -66,6 +87,11 @@ const emergencySchema = new mongoose.Schema({
   },
   symptoms: [String],
   medicalNotes: String,
+  // Children are taken to a pediatric unit
+  pediatric: {
+    type: Boolean,
+    default: false
+  },
   emergencyType: {
     type: String,
     enum: [
@@ -85,11 +111,144 @@ const emergencySchema = new mongoose.Schema({
     },
     polyline: String // encoded polyline for map rendering
   },
+  // Live estimate for the leg the ambulance is currently driving
+  eta: {
+    leg: {
+      type: String,
+      enum: ['to_patient', 'to_hospital']
+    },
+    distance: {
+      text: String,
+      value: Number // meters remaining
+    },
+    duration: {
+      text: String,
+      value: Number // seconds remaining
+    },
+    arrivalAt: Date,
+    source: {
+      type: String,
+      enum: ['route', 'estimate'] // routing service or distance/average-speed model
+    },
+    updatedAt: Date
+  },
+  // Distance actually driven, measured from the recorded trail when the emergency completes
+  trip: {
+    toPatient: {
+      distance: Number, // meters
+      points: Number // trail points used
+    },
+    toHospital: {
+      distance: Number, // meters
+      points: Number
+    },
+    totalDistance: Number, // meters
+    computedAt: Date
+  },
+  // Arrival detected by a geofence, waiting for the driver to confirm it
+  geofence: {
+    proposedStatus: {
+      type: String,
+      enum: ['arrived_at_patient', 'arrived_at_hospital']
+    },
+    detectedAt: Date,
+    distance: Number // meters from the geofence centre when detected
+  },
+  // Summary the crew hands over with the patient, acknowledged by the receiving hospital
+  handover: {
+    vitals: {
+      heartRate: Number, // beats per minute
+      bloodPressure: String, // e.g., "120/80"
+      respiratoryRate: Number, // breaths per minute
+      oxygenSaturation: Number, // percent
+      temperature: Number, // degrees Celsius
+      gcs: Number, // Glasgow Coma Scale, 3-15
+      bloodGlucose: Number, // mmol/L
+      recordedAt: Date
+    },
+    treatmentGiven: [String],
+    notes: String,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acknowledgedAt: Date,
+    acknowledgementNotes: String
+  },
+  dispatch: {
+    mode: {
+      type: String,
+      enum: ['auto', 'suggest', 'manual']
+    },
+    // Ranked candidates considered by the dispatch engine
+    suggestions: [{
+      ambulance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ambulance'
+      },
+      score: Number,
+      distance: Number, // meters
+      duration: Number, // seconds
+      reason: String
+    }],
+    selectedReason: String,
+    decidedAt: Date,
+    // Manual reordering of the dispatch queue, added to the computed priority
+    priorityAdjustment: {
+      type: Number,
+      default: 0
+    },
+    // Current offer waiting for the driver to accept or decline
+    offer: {
+      ambulance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ambulance'
+      },
+      hospital: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital'
+      },
+      route: {
+        distance: {
+          text: String,
+          value: Number
+        },
+        duration: {
+          text: String,
+          value: Number
+        },
+        polyline: String
+      },
+      notes: String,
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'timed_out', 'withdrawn']
+      },
+      offeredAt: Date,
+      expiresAt: Date,
+      respondedAt: Date
+    },
+    // Ambulances that declined or let an offer time out, skipped when re-offering
+    excludedAmbulances: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance'
+    }]
+  },
   timeline: [{
     status: {
       type: String,
       enum: [
         'emergency_requested',
+        'dispatch_suggested',
+        'ambulance_offered',
+        'offer_declined',
+        'offer_timed_out',
+        'offer_withdrawn',
         'ambulance_assigned',
         'ambulance_en_route',
         'ambulance_arrived_at_patient',
@@ -97,6 +256,7 @@ const emergencySchema = new mongoose.Schema({
         'en_route_to_hospital',
         'arrived_at_hospital',
         'patient_handed_over',
+        'handover_acknowledged',
         'emergency_completed',
         'emergency_cancelled'
       ]
@@ -105,7 +265,12 @@ const emergencySchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    notes: String
+    notes: String,
+    // Set when the change was detected from the ambulance location rather than entered by hand
+    autoDetected: {
+      type: Boolean,
+      default: false
+    }
   }],
   payment: {
     amount: Number,
@@ -133,45 +298,25 @@ const emergencySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Add method to update status with timeline entry
-emergencySchema.methods.updateStatus = function(status, notes = '') {
+// Add method to update status with timeline entry. Status changes go through
+// services/emergencyStatus, which decides whether they are allowed.
+emergencySchema.methods.updateStatus = function(status, timelineStatus, notes = '', options = {}) {
   this.status = status;
-  
-  // Map the status to timeline status
-  const statusMap = {
-    'pending': 'emergency_requested',
-    'assigned': 'ambulance_assigned',
-    'en_route': 'ambulance_en_route',
-    'arrived_at_patient': 'ambulance_arrived_at_patient',
-    'transporting': 'patient_picked_up',
-    'arrived_at_hospital': 'arrived_at_hospital',
-    'completed': 'emergency_completed',
-    'cancelled': 'emergency_cancelled'
-  };
-  
+
+  // Any pending geofence proposal is settled by a status change
+  this.geofence = undefined;
+
   // Add to timeline
   this.timeline.push({
-    status: statusMap[status] || status,
+    status: timelineStatus,
     time: new Date(),
-    notes
+    notes,
+    autoDetected: !!options.autoDetected
   });
   
   return this.save();
 };
 
-// Method to calculate estimated arrival time
-emergencySchema.methods.calculateETA = function(currentLocation, destination, mapsClient) {
-  // This would use the Google Maps API to calculate ETA
-  // Implementation would depend on the specific maps service being used
-  // This is a placeholder for the actual implementation
-  return {
-    duration: {
-      text: "15 mins",
-      value: 900 // 15 minutes in seconds
-    }
-  };
-};
-
 const Emergency = mongoose.model('Emergency', emergencySchema);
 
 module.exports = Emergency; 
\ No newline at end of file
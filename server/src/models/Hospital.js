@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, OPENING_LOOKAHEAD_DAYS } = require('../config/operatingHours');
+const { isValidTimezone, isOpenAt, getNextOpening } = require('../utils/hoursUtils');
+
+const SPECIALTIES = [
+  'trauma', 'cardiac', 'stroke', 'burns', 'pediatric',
+  'psychiatric', 'obstetric', 'oncology', 'neonatal'
+];
+
+// "HH:MM", with 24:00 for the end of the day
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Diversions in force at a time that turn away patients needing any of the specialties
+// (a full divert turns everyone away)
+const diversionMatch = (date, specialties = []) => ({
+  startsAt: { $lte: date },
+  endsAt: { $gt: date },
+  cancelledAt: null,
+  $or: [
+    { specialties: { $size: 0 } },
+    ...(specialties.length > 0 ? [{ specialties: { $in: specialties } }] : [])
+  ]
+});
+
+// Beds of one hospital unit; free beds are derived from the reservation ledger
+const unitCapacity = (beds) => ({
+  total: {
+    type: Number,
+    default: beds,
+    min: 0
+  }
+});
 
 const hospitalSchema = new mongoose.Schema({
   name: {
@@ -55,26 +86,54 @@ const hospitalSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Emergency room staff who receive patients from ambulance crews
+  erStaff: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   ambulances: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Ambulance'
   }],
-  emergencyCapacity: {
-    total: {
-      type: Number,
-      default: 10
-    },
-    available: {
-      type: Number,
-      default: 10
-    }
+  // Beds per unit (see config/capacity.js); general is the emergency department
+  capacity: {
+    general: unitCapacity(10),
+    icu: unitCapacity(0),
+    trauma: unitCapacity(0),
+    pediatric: unitCapacity(0),
+    maternity: unitCapacity(0)
   },
   specialties: [{
     type: String,
-    enum: [
-      'trauma', 'cardiac', 'stroke', 'burns', 'pediatric', 
-      'psychiatric', 'obstetric', 'oncology', 'neonatal'
-    ]
+    enum: SPECIALTIES
+  }],
+  // Periods when the hospital asks ambulances to go elsewhere, either entirely or for
+  // some specialties only
+  diversions: [{
+    specialties: [{
+      type: String,
+      enum: SPECIALTIES
+    }], // empty for a full divert
+    startsAt: {
+      type: Date,
+      required: true
+    },
+    endsAt: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    declaredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date,
+    // Set once dispatchers have been told the divert started and ended
+    startNotifiedAt: Date,
+    endNotifiedAt: Date
   }],
   operatingHours: {
     is24Hours: {
@@ -88,7 +147,36 @@ const hospitalSchema = new mongoose.Schema({
     weekend: {
       open: String,
       close: String
-    }
+    },
+    // IANA timezone the hours are given in; DEFAULT_TIMEZONE when not set
+    timezone: {
+      type: String,
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a known timezone`
+      }
+    },
+    // Dates (in the hospital's timezone) with different hours, closed all day by default
+    holidays: [{
+      date: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must look like 2024-12-25']
+      },
+      name: String,
+      closed: {
+        type: Boolean,
+        default: true
+      },
+      open: {
+        type: String,
+        match: [TIME_OF_DAY, 'Holiday opening time must look like 09:00']
+      },
+      close: {
+        type: String,
+        match: [TIME_OF_DAY, 'Holiday closing time must look like 17:00']
+      }
+    }]
   },
   paymentMethods: [{
     type: String,
@@ -118,10 +206,68 @@ const hospitalSchema = new mongoose.Schema({
 // Add geospatial index for location-based queries
 hospitalSchema.index({ location: '2dsphere' });
 
-// Static method to find nearest hospitals
-hospitalSchema.statics.findNearest = function(coordinates, maxDistance = 10000, limit = 5) {
-  return this.find({
+// Check whether a user is one of the hospital's administrators or ER staff
+hospitalSchema.statics.isStaff = function(hospitalId, userId) {
+  return this.exists({
+    _id: hospitalId,
+    $or: [{ administrators: userId }, { erStaff: userId }]
+  });
+};
+
+// Find the diversion turning away a patient who needs the given specialties, if any
+hospitalSchema.methods.getDiversionAt = function(date = new Date(), specialties = []) {
+  return (this.diversions || []).find(diversion =>
+    !diversion.cancelledAt &&
+    diversion.startsAt <= date &&
+    diversion.endsAt > date &&
+    (diversion.specialties.length === 0 || diversion.specialties.some(specialty => specialties.includes(specialty)))
+  ) || null;
+};
+
+// Query condition leaving out hospitals diverting patients with the given specialties
+hospitalSchema.statics.notDiverting = function(date = new Date(), specialties = []) {
+  return { diversions: { $not: { $elemMatch: diversionMatch(date, specialties) } } };
+};
+
+// Static method to find hospitals diverting patients with the given specialties
+hospitalSchema.statics.findDiverting = function(date = new Date(), specialties = []) {
+  return this.find({ diversions: { $elemMatch: diversionMatch(date, specialties) } });
+};
+
+// Check whether the hospital is open at a given time, in its own timezone and
+// taking holidays into account
+hospitalSchema.methods.isOpenAt = function(date = new Date()) {
+  return isOpenAt(this.operatingHours, date, DEFAULT_TIMEZONE);
+};
+
+// Find when the hospital next opens; null when it is open or not opening soon
+hospitalSchema.methods.opensAt = function(date = new Date()) {
+  return getNextOpening(this.operatingHours, date, DEFAULT_TIMEZONE, OPENING_LOOKAHEAD_DAYS);
+};
+
+// Static method to add isOpen and opensAt to hospitals (documents or lean objects)
+hospitalSchema.statics.withOpeningStatus = function(hospitals, date = new Date()) {
+  return hospitals.map(hospital => {
+    const hours = hospital.operatingHours;
+    return {
+      ...(typeof hospital.toObject === 'function' ? hospital.toObject() : hospital),
+      isOpen: isOpenAt(hours, date, DEFAULT_TIMEZONE),
+      opensAt: getNextOpening(hours, date, DEFAULT_TIMEZONE, OPENING_LOOKAHEAD_DAYS)
+    };
+  });
+};
+
+// Static method to find nearest hospitals, leaving out those on divert (for the
+// specialties given, or entirely) and, with openNow, those closed at the moment
+hospitalSchema.statics.findNearest = async function(coordinates, maxDistance = 10000, limit = 5, options = {}) {
+  const { specialties = [], openNow = false } = options;
+  const now = new Date();
+
+  // Opening hours depend on each hospital's timezone, so closed ones are dropped here
+  // rather than in the query
+  const query = this.find({
     status: 'active',
+    ...this.notDiverting(now, specialties),
     location: {
       $near: {
         $geometry: {
@@ -132,11 +278,18 @@ hospitalSchema.statics.findNearest = function(coordinates, maxDistance = 10000,
       }
     }
   })
-  .limit(limit)
-  .select('name address location phone emergencyCapacity specialties')
+  .select('name address location phone capacity specialties operatingHours')
   .lean();
+
+  if (!openNow) {
+    return query.limit(limit);
+  }
+
+  const hospitals = await query;
+  return hospitals.filter(hospital => isOpenAt(hospital.operatingHours, now, DEFAULT_TIMEZONE)).slice(0, limit);
 };
 
 const Hospital = mongoose.model('Hospital', hospitalSchema);
 
-module.exports = Hospital; 
\ No newline at end of file
+module.exports = Hospital;
+module.exports.SPECIALTIES = SPECIALTIES; 
\ No newline at end of file
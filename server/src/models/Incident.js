@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const incidentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Incident title is required'],
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['active', 'resolved', 'cancelled'],
+    default: 'active'
+  },
+  // Shared scene location for every casualty
+  location: {
+    address: {
+      type: String,
+      required: [true, 'Incident address is required']
+    },
+    coordinates: {
+      lat: {
+        type: Number,
+        required: [true, 'Incident latitude is required']
+      },
+      lng: {
+        type: Number,
+        required: [true, 'Incident longitude is required']
+      }
+    }
+  },
+  commander: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  emergencies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Emergency'
+  }],
+  timeline: [{
+    event: {
+      type: String,
+      enum: [
+        'incident_declared',
+        'casualty_added',
+        'units_dispatched',
+        'ambulance_assigned',
+        'hospital_allocated',
+        'casualty_status_updated',
+        'commander_changed',
+        'incident_resolved',
+        'incident_cancelled'
+      ]
+    },
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency'
+    },
+    time: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Static method to append an entry to the incident timeline
+incidentSchema.statics.recordEvent = function(incidentId, event, notes, emergencyId = null) {
+  return this.findByIdAndUpdate(
+    incidentId,
+    {
+      $push: {
+        timeline: {
+          event,
+          emergency: emergencyId,
+          time: new Date(),
+          notes
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+module.exports = Incident;
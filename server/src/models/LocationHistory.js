@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Breadcrumb trail of ambulance positions, stored as a time-series collection
+const locationHistorySchema = new mongoose.Schema({
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  meta: {
+    ambulance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance',
+      required: true
+    },
+    // Emergency being served when the position was recorded, if any
+    emergency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Emergency'
+    }
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    }
+  },
+  speed: Number, // km/h as reported by the device
+  heading: Number // degrees clockwise from north
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+locationHistorySchema.index({ 'meta.emergency': 1, recordedAt: 1 });
+locationHistorySchema.index({ 'meta.ambulance': 1, recordedAt: 1 });
+
+// Static method to append a position to an ambulance's trail
+locationHistorySchema.statics.record = function(ambulanceId, emergencyId, lat, lng, details = {}) {
+  const entry = {
+    recordedAt: details.recordedAt || new Date(),
+    meta: {
+      ambulance: ambulanceId,
+      emergency: emergencyId || undefined
+    },
+    location: {
+      type: 'Point',
+      coordinates: [lng, lat]
+    }
+  };
+
+  if (typeof details.speed === 'number') {
+    entry.speed = details.speed;
+  }
+  if (typeof details.heading === 'number') {
+    entry.heading = details.heading;
+  }
+
+  return this.create(entry);
+};
+
+// Static method to get the trail recorded for an emergency, oldest first
+locationHistorySchema.statics.getTrail = async function(emergencyId) {
+  const entries = await this.find({ 'meta.emergency': emergencyId })
+    .sort({ recordedAt: 1 })
+    .lean();
+
+  return entries.map(entry => ({
+    lat: entry.location.coordinates[1],
+    lng: entry.location.coordinates[0],
+    recordedAt: entry.recordedAt,
+    ambulance: entry.meta.ambulance,
+    speed: entry.speed,
+    heading: entry.heading
+  }));
+};
+
+const LocationHistory = mongoose.model('LocationHistory', locationHistorySchema);
+
+module.exports = LocationHistory;
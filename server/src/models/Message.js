@@ -18,7 +18,10 @@ const messageSchema = new mongoose.Schema({
   },
   text: {
     type: String,
-    required: [true, 'Message text is required']
+    // A photo or voice note can be sent on its own
+    required: [function() {
+      return !this.attachments || this.attachments.length === 0;
+    }, 'Message text is required']
   },
   attachments: [{
     type: {
@@ -26,6 +29,12 @@ const messageSchema = new mongoose.Schema({
       enum: ['image', 'audio', 'document', 'location']
     },
     url: String,
+    // Uploaded files are kept in media storage and served through signed URLs
+    key: String,
+    thumbnailKey: String,
+    mimeType: String,
+    size: Number,
+    name: String,
     metadata: Object
   }],
   location: {
@@ -5,6 +5,14 @@ const { ambulanceRules, ambulanceLocationRules, validate } = require('../middlew
 const Ambulance = require('../models/Ambulance');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
+const LocationHistory = require('../models/LocationHistory');
+const { toPoint, toLatLng } = require('../utils/geoUtils');
+const { offerNextQueued } = require('../services/dispatchQueueService');
+const { refreshAmbulanceETA } = require('../services/etaService');
+const { checkAmbulanceGeofences } = require('../services/geofenceService');
+const { getMileageReport } = require('../services/tripService');
+const { EVENTS, ROOMS, publish } = require('../services/realtime');
+const { MILEAGE_REPORT_DEFAULT_DAYS } = require('../config/tracking');
 
 const router = express.Router();
 
@@ -74,7 +82,10 @@ router.post(
       features,
       hospital: hospitalId,
       driver: driverId,
-      currentLocation,
+      currentLocation: {
+        ...toPoint(currentLocation.lat, currentLocation.lng),
+        updatedAt: new Date()
+      },
       status: driverId ? 'available' : 'offline' // Set status based on driver assignment
     });
 
@@ -139,6 +150,102 @@ router.get(
   })
 );
 
+/**
+ * @desc    Get nearest available ambulances
+ * @route   GET /api/ambulances/nearest
+ * @access  Private
+ * @note    Declared before /:id so the id route does not shadow it
+ */
+router.get(
+  '/nearest',
+  protect,
+  asyncHandler(async (req, res) => {
+    const { lat, lng, maxDistance = 10000, limit = 5, type } = req.query;
+    
+    if (!lat || !lng) {
+      res.status(400);
+      throw new Error('Latitude and longitude are required');
+    }
+    
+    const coordinates = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    if (isNaN(coordinates.lat) || isNaN(coordinates.lng)) {
+      res.status(400);
+      throw new Error('Latitude and longitude must be numbers');
+    }
+
+    const distance = parseInt(maxDistance);
+    const count = parseInt(limit);
+    if (isNaN(distance) || distance <= 0 || isNaN(count) || count <= 0) {
+      res.status(400);
+      throw new Error('maxDistance and limit must be positive numbers');
+    }
+    
+    // Use the static method to find nearest ambulances
+    const ambulances = await Ambulance.findNearestAvailable(
+      coordinates,
+      distance,
+      count,
+      type
+    );
+    
+    res.json({
+      success: true,
+      count: ambulances.length,
+      data: ambulances
+    });
+  })
+);
+
+/**
+ * @desc    Kilometres driven per ambulance over a date range
+ * @route   GET /api/ambulances/mileage-report
+ * @access  Private/Admin/HospitalAdmin
+ */
+router.get(
+  '/mileage-report',
+  protect,
+  asyncHandler(async (req, res) => {
+    if (!['admin', 'hospital_admin'].includes(req.user.role)) {
+      res.status(403);
+      throw new Error('Not authorized to view mileage reports');
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - MILEAGE_REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      res.status(400);
+      throw new Error('A valid date range is required');
+    }
+
+    const filter = {};
+
+    // Hospital admins can only see their hospitals' ambulances
+    if (req.user.role === 'hospital_admin') {
+      const hospitals = await Hospital.find({ administrators: req.user._id }).select('_id');
+      if (hospitals.length === 0) {
+        res.status(404);
+        throw new Error('Hospital not found for this admin');
+      }
+      filter.hospital = { $in: hospitals.map(hospital => hospital._id) };
+    } else if (req.query.hospital) {
+      filter.hospital = req.query.hospital;
+    }
+
+    const report = await getMileageReport(from, to, filter);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      count: report.length,
+      data: report
+    });
+  })
+);
+
 /**
  * @desc    Get ambulance by ID
  * @route   GET /api/ambulances/:id
@@ -247,10 +354,19 @@ router.put(
       }
     }
 
+    // Locations are accepted as {lat, lng} and stored as GeoJSON
+    const updates = { ...req.body };
+    if (updates.currentLocation && updates.currentLocation.lat !== undefined) {
+      updates.currentLocation = {
+        ...toPoint(updates.currentLocation.lat, updates.currentLocation.lng),
+        updatedAt: new Date()
+      };
+    }
+
     // Update ambulance
     const updatedAmbulance = await Ambulance.findByIdAndUpdate(
       req.params.id,
-      { ...req.body },
+      updates,
       { new: true, runValidators: true }
     )
       .populate('driver', 'name phone')
@@ -308,7 +424,7 @@ router.put(
   ambulanceLocationRules,
   validate,
   asyncHandler(async (req, res) => {
-    const { lat, lng } = req.body;
+    const { lat, lng, speed, heading } = req.body;
     
     const ambulance = await Ambulance.findById(req.params.id);
     
@@ -324,65 +440,46 @@ router.put(
     }
     
     // Update location
-    ambulance.currentLocation = {
-      lat,
-      lng,
-      updatedAt: new Date()
+    await ambulance.updateLocation(lat, lng);
+
+    const location = {
+      ...toLatLng(ambulance.currentLocation),
+      updatedAt: ambulance.currentLocation.updatedAt
     };
+
+    // Keep a breadcrumb trail so trips can be replayed later
+    await LocationHistory.record(ambulance._id, ambulance.activeEmergency, lat, lng, { speed, heading });
+
+    // Arriving inside a geofence proposes or applies the arrival status
+    const transition = await checkAmbulanceGeofences(ambulance);
+
+    // Keep the ETA of the emergency being served in step with the new position
+    const active = await refreshAmbulanceETA(ambulance);
     
-    await ambulance.save();
-    
-    // Emit location update event via socket
-    if (req.io) {
-      req.io.emit('ambulance-location-updated', {
-        ambulanceId: ambulance._id,
-        location: ambulance.currentLocation
-      });
-    }
+    // Dispatchers, the ambulance's hospital and the emergency being served follow the position
+    publish([
+      ROOMS.admins,
+      ambulance.hospital && ROOMS.hospital(ambulance.hospital),
+      ambulance.activeEmergency && ROOMS.emergency(ambulance.activeEmergency)
+    ], EVENTS.AMBULANCE_LOCATION_UPDATED, {
+      ambulanceId: ambulance._id,
+      location,
+      emergencyId: active ? active.emergencyId : null,
+      eta: active ? active.eta : null,
+      transition
+    });
     
     res.json({
       success: true,
       data: {
-        location: ambulance.currentLocation
+        location,
+        eta: active ? active.eta : null,
+        transition
       }
     });
   })
 );
 
-/**
- * @desc    Get nearest available ambulances
- * @route   GET /api/ambulances/nearest
- * @access  Private
- */
-router.get(
-  '/nearest',
-  protect,
-  asyncHandler(async (req, res) => {
-    const { lat, lng, maxDistance = 10000, limit = 5, type } = req.query;
-    
-    if (!lat || !lng) {
-      res.status(400);
-      throw new Error('Latitude and longitude are required');
-    }
-    
-    const coordinates = { lat: parseFloat(lat), lng: parseFloat(lng) };
-    
-    // Use the static method to find nearest ambulances
-    const ambulances = await Ambulance.findNearestAvailable(
-      coordinates,
-      parseInt(maxDistance),
-      parseInt(limit),
-      type
-    );
-    
-    res.json({
-      success: true,
-      count: ambulances.length,
-      data: ambulances
-    });
-  })
-);
-
 /**
  * @desc    Change ambulance status
  * @route   PUT /api/ambulances/:id/status
@@ -414,8 +511,15 @@ router.put(
     }
     
     // Update status
+    const wasAvailable = ambulance.status === 'available';
     ambulance.status = status;
     await ambulance.save();
+
+    // An ambulance coming back into service picks up the top queued emergency
+    if (status === 'available' && !wasAvailable) {
+      offerNextQueued(ambulance._id)
+        .catch(err => console.error('Dispatch queue error:', err));
+    }
     
     res.json({
       success: true,
@@ -0,0 +1,252 @@
+const express = require('express');
+const { protect, verified } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { bookingRules, validate } = require('../middlewares/validator');
+const Booking = require('../models/Booking');
+const Ambulance = require('../models/Ambulance');
+const User = require('../models/User');
+const { BOOKING_CONVERSION_LEAD_MINUTES } = require('../config/booking');
+const { createBookings, findFreeAmbulances, getBlockedUntil } = require('../services/bookingService');
+
+const router = express.Router();
+
+/**
+ * Check if user is the patient, the requester or an admin for a booking
+ */
+const canAccessBooking = (booking, user) =>
+  user.role === 'admin' ||
+  booking.patient.toString() === user._id.toString() ||
+  booking.requestedBy.toString() === user._id.toString();
+
+/**
+ * @desc    Check whether a suitable ambulance is free for a pickup window
+ * @route   GET /api/bookings/availability
+ * @access  Private
+ */
+router.get(
+  '/availability',
+  protect,
+  asyncHandler(async (req, res) => {
+    const { start, end, lat, lng, type, features } = req.query;
+
+    if (!start || !end) {
+      res.status(400);
+      throw new Error('Pickup window start and end are required');
+    }
+
+    const windowStart = new Date(start);
+    const windowEnd = new Date(end);
+    if (isNaN(windowStart) || isNaN(windowEnd) || windowEnd <= windowStart) {
+      res.status(400);
+      throw new Error('Pickup window end must be after its start');
+    }
+
+    const ambulances = await findFreeAmbulances(
+      windowStart,
+      getBlockedUntil(windowEnd),
+      {
+        ambulanceType: type,
+        features: features ? features.split(',') : []
+      },
+      lat && lng ? { lat: parseFloat(lat), lng: parseFloat(lng) } : null
+    );
+
+    res.json({
+      success: true,
+      data: {
+        available: ambulances.length > 0,
+        count: ambulances.length
+      }
+    });
+  })
+);
+
+/**
+ * @desc    Book a scheduled patient transport (optionally recurring)
+ * @route   POST /api/bookings
+ * @access  Private/Verified
+ */
+router.post(
+  '/',
+  protect,
+  verified,
+  bookingRules,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { pickupWindow, patient: patientId } = req.body;
+
+    const windowStart = new Date(pickupWindow.start);
+    const windowEnd = new Date(pickupWindow.end);
+
+    if (windowEnd <= windowStart) {
+      res.status(400);
+      throw new Error('Pickup window end must be after its start');
+    }
+
+    // Bookings need enough notice to be converted into a trip
+    if (windowStart.getTime() < Date.now() + BOOKING_CONVERSION_LEAD_MINUTES * 60000) {
+      res.status(400);
+      throw new Error(`Pickups must be booked at least ${BOOKING_CONVERSION_LEAD_MINUTES} minutes ahead`);
+    }
+
+    // Check if patient exists
+    if (patientId) {
+      const patient = await User.findById(patientId);
+      if (!patient) {
+        res.status(404);
+        throw new Error('Patient not found');
+      }
+    }
+
+    const { bookings, conflicts } = await createBookings(req.body, req.user);
+
+    if (conflicts) {
+      return res.status(409).json({
+        success: false,
+        message: 'No suitable ambulance is free for one or more pickup windows',
+        conflicts
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      count: bookings.length,
+      data: bookings
+    });
+  })
+);
+
+/**
+ * @desc    Get bookings
+ * @route   GET /api/bookings
+ * @access  Private
+ */
+router.get(
+  '/',
+  protect,
+  asyncHandler(async (req, res) => {
+    const filter = {};
+
+    // Regular users can only see their own bookings
+    if (req.user.role === 'user' || req.user.role === 'hospital_admin') {
+      filter.$or = [
+        { patient: req.user._id },
+        { requestedBy: req.user._id }
+      ];
+    }
+
+    // Drivers see the bookings blocked on their ambulances
+    if (req.user.role === 'driver') {
+      const ambulances = await Ambulance.find({ driver: req.user._id }).select('_id');
+      filter.ambulance = { $in: ambulances.map(a => a._id) };
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.series) {
+      filter['series.id'] = req.query.series;
+    }
+
+    // Filter by pickup date range if provided
+    if (req.query.startDate && req.query.endDate) {
+      filter['pickupWindow.start'] = {
+        $gte: new Date(req.query.startDate),
+        $lte: new Date(req.query.endDate)
+      };
+    }
+
+    const bookings = await Booking.find(filter)
+      .populate('patient', 'name phone')
+      .populate('ambulance', 'registrationNumber type')
+      .sort({ 'pickupWindow.start': 1 });
+
+    res.json({
+      success: true,
+      count: bookings.length,
+      data: bookings
+    });
+  })
+);
+
+/**
+ * @desc    Get booking by ID
+ * @route   GET /api/bookings/:id
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  protect,
+  asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.id)
+      .populate('ambulance', 'registrationNumber type driver')
+      .populate('destination.hospital', 'name address phone');
+
+    if (!booking) {
+      res.status(404);
+      throw new Error('Booking not found');
+    }
+
+    const isDriver = req.user.role === 'driver' && booking.ambulance &&
+      booking.ambulance.driver && booking.ambulance.driver.toString() === req.user._id.toString();
+
+    if (!canAccessBooking(booking, req.user) && !isDriver) {
+      res.status(403);
+      throw new Error('Not authorized to access this booking');
+    }
+
+    res.json({
+      success: true,
+      data: booking
+    });
+  })
+);
+
+/**
+ * @desc    Cancel a booking, or it and the rest of its series
+ * @route   PUT /api/bookings/:id/cancel
+ * @access  Private
+ */
+router.put(
+  '/:id/cancel',
+  protect,
+  asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      res.status(404);
+      throw new Error('Booking not found');
+    }
+
+    if (!canAccessBooking(booking, req.user)) {
+      res.status(403);
+      throw new Error('Not authorized to cancel this booking');
+    }
+
+    if (booking.status !== 'scheduled') {
+      res.status(400);
+      throw new Error('Only scheduled bookings can be cancelled');
+    }
+
+    // Cancelling the series releases this and every later occurrence
+    const filter = req.body.series && booking.series && booking.series.id
+      ? {
+        'series.id': booking.series.id,
+        status: 'scheduled',
+        'pickupWindow.start': { $gte: booking.pickupWindow.start }
+      }
+      : { _id: booking._id };
+
+    const result = await Booking.updateMany(filter, { status: 'cancelled' });
+
+    res.json({
+      success: true,
+      data: {
+        cancelled: result.modifiedCount
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const { protect, admin } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const Emergency = require('../models/Emergency');
+const { DISPATCH_MODES } = require('../config/dispatch');
+const { getDispatchMode, setDispatchMode, rankAmbulances } = require('../services/dispatchService');
+const { getQueue, moveInQueue } = require('../services/dispatchQueueService');
+
+const router = express.Router();
+
+/**
+ * @desc    Get current dispatch mode
+ * @route   GET /api/dispatch/mode
+ * @access  Private/Admin
+ */
+router.get(
+  '/mode',
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const mode = await getDispatchMode();
+
+    res.json({
+      success: true,
+      data: {
+        mode,
+        availableModes: DISPATCH_MODES
+      }
+    });
+  })
+);
+
+/**
+ * @desc    Switch dispatch mode (auto, suggest or manual)
+ * @route   PUT /api/dispatch/mode
+ * @access  Private/Admin
+ */
+router.put(
+  '/mode',
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const { mode } = req.body;
+
+    if (!DISPATCH_MODES.includes(mode)) {
+      res.status(400);
+      throw new Error(`Mode must be one of: ${DISPATCH_MODES.join(', ')}`);
+    }
+
+    const updatedMode = await setDispatchMode(mode, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        mode: updatedMode
+      }
+    });
+  })
+);
+
+/**
+ * @desc    Rank available ambulances for an emergency
+ * @route   GET /api/dispatch/candidates/:emergencyId
+ * @access  Private/Admin
+ */
+router.get(
+  '/candidates/:emergencyId',
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const emergency = await Emergency.findById(req.params.emergencyId);
+
+    if (!emergency) {
+      res.status(404);
+      throw new Error('Emergency not found');
+    }
+
+    const candidates = await rankAmbulances(emergency, {
+      limit: parseInt(req.query.limit) || undefined
+    });
+
+    res.json({
+      success: true,
+      count: candidates.length,
+      data: candidates.map(candidate => ({
+        ambulance: candidate.ambulance,
+        score: candidate.score,
+        distance: candidate.leg.distance,
+        duration: candidate.leg.duration,
+        durationSource: candidate.leg.source,
+        matchedFeatures: candidate.capability.matchedFeatures,
+        reason: candidate.reason
+      }))
+    });
+  })
+);
+
+/**
+ * Shape a queue entry for API responses
+ */
+const formatQueueEntry = ({ emergency, position, priority, waitingMinutes }) => ({
+  position,
+  priority,
+  waitingMinutes,
+  emergency: {
+    _id: emergency._id,
+    severity: emergency.severity,
+    emergencyType: emergency.emergencyType,
+    location: emergency.location.pickup,
+    patient: emergency.patient,
+    priorityAdjustment: emergency.dispatch.priorityAdjustment || 0,
+    createdAt: emergency.createdAt
+  }
+});
+
+/**
+ * @desc    Get pending emergencies in dispatch priority order
+ * @route   GET /api/dispatch/queue
+ * @access  Private/Admin
+ */
+router.get(
+  '/queue',
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const queue = await getQueue();
+
+    res.json({
+      success: true,
+      count: queue.length,
+      data: queue.map(formatQueueEntry)
+    });
+  })
+);
+
+/**
+ * @desc    Move an emergency to a new position in the dispatch queue
+ * @route   PUT /api/dispatch/queue/:emergencyId
+ * @access  Private/Admin
+ */
+router.put(
+  '/queue/:emergencyId',
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const position = parseInt(req.body.position);
+
+    if (!position || position < 1) {
+      res.status(400);
+      throw new Error('A queue position of 1 or more is required');
+    }
+
+    const emergency = await Emergency.findById(req.params.emergencyId);
+    if (!emergency) {
+      res.status(404);
+      throw new Error('Emergency not found');
+    }
+
+    if (emergency.status !== 'pending') {
+      res.status(400);
+      throw new Error('Only pending emergencies can be reordered');
+    }
+
+    const queue = await moveInQueue(emergency._id, position);
+
+    res.json({
+      success: true,
+      count: queue.length,
+      data: queue.map(formatQueueEntry)
+    });
+  })
+);
+
+module.exports = router;
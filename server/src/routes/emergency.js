@@ -1,13 +1,28 @@
 const express = require('express');
 const { protect, admin, driver, verified } = require('../middlewares/auth');
 const { asyncHandler } = require('../middlewares/errorHandler');
-const { emergencyRequestRules, validate } = require('../middlewares/validator');
+const { emergencyRequestRules, handoverRules, validate } = require('../middlewares/validator');
 const Emergency = require('../models/Emergency');
 const Ambulance = require('../models/Ambulance');
 const Hospital = require('../models/Hospital');
 const User = require('../models/User');
-const { calculateRoute } = require('../config/maps');
-const { sendEmergencyConfirmation, notifyDriver } = require('../utils/twilioUtils');
+const LocationHistory = require('../models/LocationHistory');
+const { EMERGENCY_SPECIALTIES } = require('../config/dispatch');
+const { calculateRoute } = require('../services/maps');
+const {
+  offerAmbulance,
+  acceptOffer,
+  declineOffer,
+  withdrawOffer,
+  dispatchEmergency
+} = require('../services/dispatchService');
+const { recommendHospitals } = require('../services/hospitalRecommendationService');
+const { selectUnit, countHeldBeds, getUnitCapacity } = require('../services/capacityService');
+const { canViewEmergency } = require('../services/accessService');
+const { getNextTransitions, transitionEmergency } = require('../services/emergencyStatus');
+const { submitHandover, acknowledgeHandover } = require('../services/handoverService');
+const { EVENTS, ROOMS, publish } = require('../services/realtime');
+const { toLatLng, simplifyPath, downsamplePath } = require('../utils/geoUtils');
 
 const router = express.Router();
 
@@ -28,7 +43,8 @@ router.post(
       location,
       symptoms = [],
       medicalNotes = '',
-      emergencyType = 'other'
+      emergencyType = 'other',
+      pediatric = false
     } = req.body;
 
     // Use patient from authenticated user if not specified
@@ -50,6 +66,7 @@ router.post(
       symptoms,
       medicalNotes,
       emergencyType,
+      pediatric,
       timeline: [
         {
           status: 'emergency_requested',
@@ -59,20 +76,32 @@ router.post(
       ]
     });
 
-    // Emit emergency request event via socket
-    if (req.io) {
-      req.io.emit('new-emergency', {
-        emergencyId: emergency._id,
-        severity,
-        location: location.pickup,
-        emergencyType,
-        patientName: patient.name
-      });
+    // Let dispatchers know about the new request
+    publish([ROOMS.admins], EVENTS.EMERGENCY_CREATED, {
+      emergencyId: emergency._id,
+      severity,
+      location: location.pickup,
+      emergencyType,
+      patientName: patient.name
+    });
+
+    // Run the configured dispatch mode (auto, suggest or manual)
+    let dispatch = null;
+    try {
+      dispatch = await dispatchEmergency(emergency);
+    } catch (error) {
+      console.error('Error dispatching emergency:', error);
+      // The emergency stays pending and can still be assigned by hand
     }
 
     res.status(201).json({
       success: true,
-      data: emergency
+      data: emergency,
+      dispatch: dispatch ? {
+        mode: dispatch.mode,
+        ambulanceId: dispatch.ambulance ? dispatch.ambulance._id : null,
+        candidates: dispatch.candidates.length
+      } : null
     });
   })
 );
@@ -176,7 +205,7 @@ router.get(
           select: 'name phone'
         }
       })
-      .populate('hospital', 'name address phone emergencyCapacity');
+      .populate('hospital', 'name address phone capacity');
 
     if (!emergency) {
       res.status(404);
@@ -184,15 +213,7 @@ router.get(
     }
 
     // Check access permissions
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = emergency.patient._id.toString() === req.user._id.toString();
-    const isRequester = emergency.requestedBy._id.toString() === req.user._id.toString();
-    const isDriver = emergency.ambulance && emergency.ambulance.driver && 
-                  emergency.ambulance.driver._id.toString() === req.user._id.toString();
-    const isHospitalAdmin = emergency.hospital && req.user.role === 'hospital_admin' && 
-                  (await Hospital.findOne({ _id: emergency.hospital._id, administrators: req.user._id }));
-
-    if (!isAdmin && !isPatient && !isRequester && !isDriver && !isHospitalAdmin) {
+    if (!(await canViewEmergency(emergency, req.user))) {
       res.status(403);
       throw new Error('Not authorized to access this emergency');
     }
@@ -205,7 +226,103 @@ router.get(
 );
 
 /**
- * @desc    Assign ambulance to emergency
+ * @desc    Get the recorded ambulance trail for an emergency, to replay against the timeline
+ * @route   GET /api/emergencies/:id/trail
+ * @access  Private
+ */
+router.get(
+  '/:id/trail',
+  protect,
+  asyncHandler(async (req, res) => {
+    const emergency = await Emergency.findById(req.params.id)
+      .select('patient requestedBy ambulance hospital incident status timeline')
+      .populate('ambulance', 'registrationNumber driver');
+
+    if (!emergency) {
+      res.status(404);
+      throw new Error('Emergency not found');
+    }
+
+    if (!(await canViewEmergency(emergency, req.user))) {
+      res.status(403);
+      throw new Error('Not authorized to access this emergency');
+    }
+
+    const recorded = await LocationHistory.getTrail(emergency._id);
+
+    // simplify: tolerance in meters, maxPoints: cap on the number of points returned
+    let points = simplifyPath(recorded, parseFloat(req.query.simplify));
+    points = downsamplePath(points, parseInt(req.query.maxPoints));
+
+    res.json({
+      success: true,
+      data: {
+        emergencyId: emergency._id,
+        ambulance: emergency.ambulance ? {
+          _id: emergency.ambulance._id,
+          registrationNumber: emergency.ambulance.registrationNumber
+        } : null,
+        status: emergency.status,
+        recordedPoints: recorded.length,
+        count: points.length,
+        points,
+        timeline: emergency.timeline
+      }
+    });
+  })
+);
+
+/**
+ * @desc    Get ranked hospital recommendations for an emergency
+ * @route   GET /api/emergencies/:id/hospital-recommendations
+ * @access  Private/Admin/HospitalAdmin/Driver
+ */
+router.get(
+  '/:id/hospital-recommendations',
+  protect,
+  asyncHandler(async (req, res) => {
+    if (!['admin', 'hospital_admin', 'driver'].includes(req.user.role)) {
+      res.status(403);
+      throw new Error('Not authorized to view hospital recommendations');
+    }
+
+    const emergency = await Emergency.findById(req.params.id);
+    if (!emergency) {
+      res.status(404);
+      throw new Error('Emergency not found');
+    }
+
+    const recommendations = await recommendHospitals(emergency, {
+      radius: parseInt(req.query.radius) || undefined,
+      limit: parseInt(req.query.limit) || 5,
+      includeIneligible: req.query.includeIneligible === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: recommendations.length,
+      data: recommendations.map(recommendation => ({
+        hospital: {
+          _id: recommendation.hospital._id,
+          name: recommendation.hospital.name,
+          address: recommendation.hospital.address,
+          phone: recommendation.hospital.phone,
+          specialties: recommendation.hospital.specialties,
+          capacity: recommendation.capacity
+        },
+        score: recommendation.score,
+        eligible: recommendation.eligible,
+        reasons: recommendation.reasons,
+        distance: recommendation.distance,
+        duration: recommendation.duration,
+        durationSource: recommendation.durationSource
+      }))
+    });
+  })
+);
+
+/**
+ * @desc    Assign ambulance to emergency (offered to the driver, who must accept)
  * @route   PUT /api/emergencies/:id/assign
  * @access  Private/Admin
  */
@@ -243,7 +360,13 @@ router.put(
       throw new Error('Ambulance not found');
     }
 
-    if (ambulance.status !== 'available') {
+    if (emergency.status !== 'pending') {
+      res.status(400);
+      throw new Error('Emergency already has an ambulance assigned');
+    }
+
+    if (ambulance.status !== 'available' ||
+        (ambulance.pendingOffer && !ambulance.pendingOffer.equals(emergency._id))) {
       res.status(400);
       throw new Error('Ambulance is not available');
     }
@@ -253,8 +376,19 @@ router.put(
       throw new Error('Ambulance has no assigned driver');
     }
 
+    // Without a hospital, take the top recommendation
+    let recommendation = null;
+    if (!hospitalId && !emergency.hospital) {
+      try {
+        [recommendation] = await recommendHospitals(emergency, { limit: 1 });
+      } catch (error) {
+        console.error('Error recommending hospital:', error);
+        // Continue without a hospital, one can be set later
+      }
+    }
+
     // Check if hospital exists
-    let hospital = null;
+    let hospital = recommendation ? recommendation.hospital : null;
     if (hospitalId) {
       hospital = await Hospital.findById(hospitalId);
       if (!hospital) {
@@ -262,10 +396,17 @@ router.put(
         throw new Error('Hospital not found');
       }
 
-      // Check hospital capacity
-      if (hospital.emergencyCapacity.available <= 0) {
+      const diversion = hospital.getDiversionAt(new Date(), EMERGENCY_SPECIALTIES[emergency.emergencyType] || []);
+      if (diversion) {
+        res.status(400);
+        throw new Error(`Hospital is on divert until ${diversion.endsAt.toISOString()}: ${diversion.reason}`);
+      }
+
+      // Check capacity in the unit the patient needs
+      const unit = selectUnit(emergency);
+      if (getUnitCapacity(hospital, unit, await countHeldBeds([hospital])).available <= 0) {
         res.status(400);
-        throw new Error('Hospital has no available emergency capacity');
+        throw new Error(`Hospital has no available ${unit} beds`);
       }
     }
 
@@ -273,12 +414,12 @@ router.put(
     let route = {};
     try {
       const routeResult = await calculateRoute(
-        ambulance.currentLocation,
+        toLatLng(ambulance.currentLocation),
         emergency.location.pickup.coordinates
       );
       route = {
         distance: routeResult.distance,
-        duration: routeResult.duration,
+        duration: routeResult.durationInTraffic || routeResult.duration,
         polyline: routeResult.polyline
       };
     } catch (error) {
@@ -286,60 +427,23 @@ router.put(
       // Continue even if route calculation fails
     }
 
-    // Update emergency
-    emergency.ambulance = ambulance._id;
-    emergency.status = 'assigned';
-    if (hospitalId) {
-      emergency.hospital = hospitalId;
-    }
-    if (Object.keys(route).length > 0) {
-      emergency.route = route;
+    // Re-offering the same ambulance starts a fresh offer
+    if (ambulance.pendingOffer) {
+      await withdrawOffer(emergency, `Re-offered by ${req.user.name}`);
     }
 
-    // Add timeline entry
-    emergency.timeline.push({
-      status: 'ambulance_assigned',
-      time: new Date(),
-      notes: `Ambulance ${ambulance.registrationNumber} assigned by ${req.user.name}`
+    const offered = await offerAmbulance(emergency, ambulance._id, {
+      hospital,
+      route,
+      notes: `Ambulance ${ambulance.registrationNumber} assigned by ${req.user.name}` +
+        (recommendation
+          ? `. Hospital ${hospital.name} recommended (score ${recommendation.score}): ${recommendation.reasons.join('; ')}`
+          : '')
     });
 
-    await emergency.save();
-
-    // Update ambulance status
-    ambulance.status = 'busy';
-    ambulance.activeEmergency = emergency._id;
-    await ambulance.save();
-
-    // If hospital is specified, decrease available capacity
-    if (hospital) {
-      hospital.emergencyCapacity.available = Math.max(0, hospital.emergencyCapacity.available - 1);
-      await hospital.save();
-    }
-
-    // Notify patient via SMS
-    const patient = await User.findById(emergency.patient);
-    if (patient) {
-      sendEmergencyConfirmation(patient.phone, {
-        registrationNumber: ambulance.registrationNumber,
-        eta: route.duration ? route.duration.text : '15-20 minutes'
-      }).catch(err => console.error('SMS notification error:', err));
-    }
-
-    // Notify driver via SMS
-    if (ambulance.driver) {
-      notifyDriver(ambulance.driver.phone, {
-        severity: emergency.severity,
-        address: emergency.location.pickup.address
-      }).catch(err => console.error('Driver SMS notification error:', err));
-    }
-
-    // Emit assignment event via socket
-    if (req.io) {
-      req.io.emit('ambulance-assigned', {
-        emergencyId: emergency._id,
-        ambulanceId: ambulance._id,
-        hospitalId: hospital ? hospital._id : null
-      });
+    if (!offered) {
+      res.status(409);
+      throw new Error('Ambulance was assigned to another emergency');
     }
 
     res.json({
@@ -348,7 +452,11 @@ router.put(
         emergency: {
           _id: emergency._id,
           status: emergency.status,
-          route: emergency.route
+          route: emergency.dispatch.offer.route,
+          offer: {
+            status: emergency.dispatch.offer.status,
+            expiresAt: emergency.dispatch.offer.expiresAt
+          }
         },
         ambulance: {
           _id: ambulance._id,
@@ -368,6 +476,100 @@ router.put(
   })
 );
 
+/**
+ * @desc    Accept the emergency offered to the driver's ambulance
+ * @route   POST /api/emergencies/:id/offer/accept
+ * @access  Private/Driver
+ */
+router.post(
+  '/:id/offer/accept',
+  protect,
+  driver,
+  asyncHandler(async (req, res) => {
+    const { emergency, ambulance, hospital } = await acceptOffer(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        emergency: {
+          _id: emergency._id,
+          status: emergency.status,
+          route: emergency.route,
+          eta: emergency.eta
+        },
+        ambulance: {
+          _id: ambulance._id,
+          registrationNumber: ambulance.registrationNumber
+        },
+        hospital: hospital ? {
+          _id: hospital._id,
+          name: hospital.name,
+          address: hospital.address
+        } : null
+      }
+    });
+  })
+);
+
+/**
+ * @desc    Decline the emergency offered to the driver's ambulance
+ * @route   POST /api/emergencies/:id/offer/decline
+ * @access  Private/Driver
+ */
+router.post(
+  '/:id/offer/decline',
+  protect,
+  driver,
+  asyncHandler(async (req, res) => {
+    const { emergency, nextAmbulance } = await declineOffer(
+      req.params.id,
+      req.user._id,
+      req.body.reason
+    );
+
+    res.json({
+      success: true,
+      data: {
+        emergencyId: emergency._id,
+        status: emergency.status,
+        reoffered: !!nextAmbulance
+      }
+    });
+  })
+);
+
+/**
+ * @desc    Get the statuses the current user can move the emergency to next
+ * @route   GET /api/emergencies/:id/transitions
+ * @access  Private
+ */
+router.get(
+  '/:id/transitions',
+  protect,
+  asyncHandler(async (req, res) => {
+    const emergency = await Emergency.findById(req.params.id)
+      .populate('ambulance', 'driver');
+
+    if (!emergency) {
+      res.status(404);
+      throw new Error('Emergency not found');
+    }
+
+    if (!(await canViewEmergency(emergency, req.user))) {
+      res.status(403);
+      throw new Error('Not authorized to access this emergency');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: emergency.status,
+        transitions: await getNextTransitions(emergency, req.user)
+      }
+    });
+  })
+);
+
 /**
  * @desc    Update emergency status
  * @route   PUT /api/emergencies/:id/status
@@ -384,16 +586,6 @@ router.put(
       throw new Error('Status is required');
     }
 
-    const validStatuses = [
-      'pending', 'assigned', 'en_route', 'arrived_at_patient', 
-      'transporting', 'arrived_at_hospital', 'completed', 'cancelled'
-    ];
-
-    if (!validStatuses.includes(status)) {
-      res.status(400);
-      throw new Error('Invalid status');
-    }
-
     const emergency = await Emergency.findById(req.params.id)
       .populate('ambulance')
       .populate('hospital')
@@ -404,106 +596,79 @@ router.put(
       throw new Error('Emergency not found');
     }
 
-    // Check authorization based on the requested status change
-    const isAdmin = req.user.role === 'admin';
-    const isPatient = emergency.patient._id.toString() === req.user._id.toString();
-    const isRequester = emergency.requestedBy.toString() === req.user._id.toString();
-    
-    let isDriver = false;
-    if (emergency.ambulance) {
-      const ambulance = await Ambulance.findById(emergency.ambulance._id);
-      isDriver = ambulance && ambulance.driver && 
-                ambulance.driver.toString() === req.user._id.toString();
-    }
-
-    // Different status changes have different authorization requirements
-    if (status === 'cancelled') {
-      // Only admin, patient, or requester can cancel
-      if (!isAdmin && !isPatient && !isRequester) {
-        res.status(403);
-        throw new Error('Not authorized to cancel this emergency');
-      }
+    // Who may make the change, its guards and side effects live in the state machine
+    await transitionEmergency(emergency, status, { user: req.user, notes });
+    const eta = emergency.eta && emergency.eta.leg ? emergency.eta : null;
 
-      // Cannot cancel if already completed
-      if (emergency.status === 'completed') {
-        res.status(400);
-        throw new Error('Cannot cancel a completed emergency');
-      }
-    } else if (['en_route', 'arrived_at_patient', 'transporting', 'arrived_at_hospital', 'completed'].includes(status)) {
-      // These statuses can only be set by admin or the assigned driver
-      if (!isAdmin && !isDriver) {
-        res.status(403);
-        throw new Error('Not authorized to update this emergency status');
+    res.json({
+      success: true,
+      data: {
+        status: emergency.status,
+        eta,
+        timeline: emergency.timeline
       }
-    }
-
-    // Status-specific validation
-    if (status === 'en_route' && emergency.status !== 'assigned') {
-      res.status(400);
-      throw new Error('Emergency must be assigned before going en route');
-    }
-
-    if (status === 'arrived_at_patient' && !['assigned', 'en_route'].includes(emergency.status)) {
-      res.status(400);
-      throw new Error('Ambulance must be en route before arriving at patient');
-    }
-
-    if (status === 'transporting' && !['arrived_at_patient'].includes(emergency.status)) {
-      res.status(400);
-      throw new Error('Ambulance must arrive at patient before transporting');
-    }
+    });
+  })
+);
 
-    if (status === 'arrived_at_hospital' && !['transporting'].includes(emergency.status)) {
-      res.status(400);
-      throw new Error('Patient must be in transport before arriving at hospital');
-    }
+/**
+ * @desc    Hand the patient over to the hospital with a summary of vitals, treatment
+ *          given and notes
+ * @route   POST /api/emergencies/:id/handover
+ * @access  Private/Driver
+ */
+router.post(
+  '/:id/handover',
+  protect,
+  handoverRules,
+  validate,
+  asyncHandler(async (req, res) => {
+    const emergency = await Emergency.findById(req.params.id)
+      .populate('ambulance');
 
-    if (status === 'completed' && !['arrived_at_hospital'].includes(emergency.status)) {
-      res.status(400);
-      throw new Error('Emergency must arrive at hospital before completion');
+    if (!emergency) {
+      res.status(404);
+      throw new Error('Emergency not found');
     }
 
-    // Update emergency status
-    await emergency.updateStatus(status, notes);
+    const { vitals, treatmentGiven, notes } = req.body;
+    await submitHandover(emergency, req.user, { vitals, treatmentGiven, notes });
 
-    // Additional actions based on status
-    if (status === 'completed' || status === 'cancelled') {
-      // Free up the ambulance
-      if (emergency.ambulance) {
-        const ambulance = await Ambulance.findById(emergency.ambulance);
-        if (ambulance) {
-          ambulance.status = 'available';
-          ambulance.activeEmergency = null;
-          await ambulance.save();
-        }
+    res.status(201).json({
+      success: true,
+      data: {
+        status: emergency.status,
+        handover: emergency.handover,
+        timeline: emergency.timeline
       }
+    });
+  })
+);
 
-      // If completed, restore hospital capacity
-      if (status === 'completed' && emergency.hospital) {
-        const hospital = await Hospital.findById(emergency.hospital);
-        if (hospital) {
-          hospital.emergencyCapacity.available = Math.min(
-            hospital.emergencyCapacity.total,
-            hospital.emergencyCapacity.available + 1
-          );
-          await hospital.save();
-        }
-      }
-    }
+/**
+ * @desc    Acknowledge receipt of a handed over patient, which lets the crew complete
+ *          the emergency
+ * @route   PUT /api/emergencies/:id/handover/acknowledge
+ * @access  Private/HospitalStaff
+ */
+router.put(
+  '/:id/handover/acknowledge',
+  protect,
+  asyncHandler(async (req, res) => {
+    const emergency = await Emergency.findById(req.params.id);
 
-    // Emit status update event via socket
-    if (req.io) {
-      req.io.emit('emergency-status-updated', {
-        emergencyId: emergency._id,
-        status,
-        timestamp: new Date()
-      });
+    if (!emergency) {
+      res.status(404);
+      throw new Error('Emergency not found');
     }
 
+    await acknowledgeHandover(emergency, req.user, req.body.notes);
+
     res.json({
       success: true,
       data: {
         status: emergency.status,
+        handover: emergency.handover,
         timeline: emergency.timeline
       }
     });
@@ -534,7 +699,7 @@ router.post(
 
     // Only patient or requester can add feedback
     if (
-      emergency.patient.toString() !== req.user._id.toString() &&
+      (!emergency.patient || emergency.patient.toString() !== req.user._id.toString()) &&
       emergency.requestedBy.toString() !== req.user._id.toString()
     ) {
       res.status(403);
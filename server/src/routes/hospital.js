@@ -1,10 +1,24 @@
 const express = require('express');
 const { protect, admin, hospitalAdmin } = require('../middlewares/auth');
 const { asyncHandler } = require('../middlewares/errorHandler');
-const { hospitalRules, validate } = require('../middlewares/validator');
+const { hospitalRules, capacityRules, diversionRules, validate } = require('../middlewares/validator');
+const { uploadImportFile } = require('../middlewares/upload');
 const Hospital = require('../models/Hospital');
 const User = require('../models/User');
-const { getNearbyHospitals } = require('../config/maps');
+const { getNearbyPlaces } = require('../services/maps');
+const { getIncomingPatients } = require('../services/preArrivalService');
+const {
+  withCapacity,
+  updateUnitCapacity,
+  getReconciliationReport
+} = require('../services/capacityService');
+const {
+  describeDiversion,
+  declareDiversion,
+  cancelDiversion
+} = require('../services/diversionService');
+const { detectFormat, importHospitals } = require('../services/hospitalImportService');
+const { toPoint } = require('../utils/geoUtils');
 
 const router = express.Router();
 
@@ -27,6 +41,8 @@ router.post(
       address,
       location,
       administrators,
+      erStaff,
+      capacity,
       specialties,
       operatingHours,
       paymentMethods
@@ -47,6 +63,8 @@ router.post(
       address,
       location,
       administrators,
+      erStaff,
+      capacity,
       specialties,
       operatingHours,
       paymentMethods,
@@ -69,7 +87,45 @@ router.post(
 );
 
 /**
- * @desc    Get all hospitals
+ * @desc    Create or update (by email) hospitals from a CSV file or GeoJSON FeatureCollection,
+ *          uploaded in the "file" field or sent as the JSON body. With dryRun=true nothing
+ *          is saved and the summary says what would happen to each row.
+ * @route   POST /api/hospitals/import
+ * @access  Private/Admin
+ */
+router.post(
+  '/import',
+  protect,
+  admin,
+  uploadImportFile,
+  asyncHandler(async (req, res) => {
+    const dryRun = (req.query.dryRun || req.body.dryRun) === 'true' || req.body.dryRun === true;
+
+    let content;
+    let format = req.query.format || req.body.format;
+    if (req.file) {
+      content = req.file.buffer;
+      format = format || detectFormat(req.file.originalname);
+    } else if (req.body.type === 'FeatureCollection') {
+      content = req.body;
+      format = format || 'geojson';
+    } else {
+      res.status(400);
+      throw new Error('Upload a CSV or GeoJSON file in the file field, or send a GeoJSON FeatureCollection');
+    }
+
+    const summary = await importHospitals(content, { format, dryRun });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  })
+);
+
+/**
+ * @desc    Get all hospitals, each with isOpen and opensAt. Pass openNow=true for only
+ *          those open at the moment.
  * @route   GET /api/hospitals
  * @access  Public
  */
@@ -101,15 +157,22 @@ router.get(
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Execute query
-    const hospitals = await Hospital.find(filter)
-      .select('name email phone address location specialties operatingHours status emergencyCapacity rating')
-      .sort({ 'rating.average': -1 })
-      .skip(skip)
-      .limit(limit);
-
-    // Get total count
-    const total = await Hospital.countDocuments(filter);
+    const query = Hospital.find(filter)
+      .select('name email phone address location specialties operatingHours status capacity rating')
+      .sort({ 'rating.average': -1 });
+
+    // Opening hours depend on each hospital's timezone, so open ones are picked out
+    // here and paginated afterwards
+    let hospitals;
+    let total;
+    if (req.query.openNow === 'true') {
+      const open = (await query).filter(hospital => hospital.isOpenAt());
+      hospitals = open.slice(skip, skip + limit);
+      total = open.length;
+    } else {
+      hospitals = await query.skip(skip).limit(limit);
+      total = await Hospital.countDocuments(filter);
+    }
 
     res.json({
       success: true,
@@ -117,7 +180,109 @@ router.get(
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      data: hospitals
+      data: Hospital.withOpeningStatus(await withCapacity(hospitals))
+    });
+  })
+);
+
+/**
+ * @desc    Get nearby hospitals, leaving out those on divert, each with isOpen and opensAt.
+ *          Pass specialty (one or comma separated) to also leave out hospitals diverting
+ *          those patients, and openNow=true for only those open at the moment.
+ * @route   GET /api/hospitals/nearby
+ * @access  Public
+ */
+router.get(
+  '/nearby',
+  asyncHandler(async (req, res) => {
+    const { lat, lng, radius = 5000, limit = 5, specialty, openNow } = req.query;
+
+    if (!lat || !lng) {
+      res.status(400);
+      throw new Error('Latitude and longitude are required');
+    }
+
+    const coordinates = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    const maxDistance = parseInt(radius);
+    const maxResults = parseInt(limit);
+    const specialties = specialty ? specialty.split(',').map(name => name.trim()).filter(Boolean) : [];
+
+    // First try to get hospitals from our database
+    const dbHospitals = Hospital.withOpeningStatus(await withCapacity(
+      await Hospital.findNearest(coordinates, maxDistance, maxResults, { specialties, openNow: openNow === 'true' })
+    ));
+
+    // If we have enough, return them. The maps provider does not know opening hours,
+    // so it cannot help when only open hospitals are wanted.
+    if (dbHospitals.length >= maxResults || openNow === 'true') {
+      return res.json({
+        success: true,
+        source: 'database',
+        count: dbHospitals.length,
+        data: dbHospitals
+      });
+    }
+
+    // Otherwise, also search the maps provider (nothing is found offline)
+    const places = await getNearbyPlaces(coordinates, maxDistance, 'hospital');
+
+    // Filter out hospitals that are already in our database (to avoid duplicates) and
+    // those the maps provider knows about but that are on divert
+    const divertingNames = await Hospital.findDiverting(new Date(), specialties).distinct('name');
+    const dbHospitalNames = [...dbHospitals.map(h => h.name), ...divertingNames].map(name => name.toLowerCase());
+    const providerHospitals = places
+      .filter(place => !dbHospitalNames.includes(place.name.toLowerCase()))
+      .map(place => ({
+        source: place.source,
+        name: place.name,
+        address: {
+          street: place.address,
+          city: '',
+          state: '',
+          zipCode: '',
+          country: ''
+        },
+        location: toPoint(place.location.lat, place.location.lng),
+        phone: place.phone,
+        rating: {
+          average: place.rating,
+          count: place.ratingCount
+        },
+        placeId: place.placeId
+      }));
+
+    // Combine results
+    const combinedResults = [
+      ...dbHospitals,
+      ...providerHospitals.slice(0, maxResults - dbHospitals.length)
+    ];
+
+    res.json({
+      success: true,
+      source: combinedResults.length > dbHospitals.length ? 'combined' : 'database',
+      count: combinedResults.length,
+      data: combinedResults
+    });
+  })
+);
+
+/**
+ * @desc    Compare the bed reservation ledger with hospital totals and emergencies:
+ *          overbooked units, reservations held for finished emergencies, overdue
+ *          reservations and emergencies heading to a hospital without a bed held
+ * @route   GET /api/hospitals/capacity-report
+ * @access  Private/Admin
+ */
+router.get(
+  '/capacity-report',
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const report = await getReconciliationReport();
+
+    res.json({
+      success: true,
+      data: report
     });
   })
 );
@@ -131,7 +296,8 @@ router.get(
   '/:id',
   asyncHandler(async (req, res) => {
     const hospital = await Hospital.findById(req.params.id)
-      .populate('administrators', 'name email phone');
+      .populate('administrators', 'name email phone')
+      .populate('erStaff', 'name email phone');
 
     if (!hospital) {
       res.status(404);
@@ -144,9 +310,42 @@ router.get(
       throw new Error('Hospital not found');
     }
 
+    const [data] = Hospital.withOpeningStatus(await withCapacity([hospital]));
+
     res.json({
       success: true,
-      data: hospital
+      data
+    });
+  })
+);
+
+/**
+ * @desc    Get patients being transported to the hospital, soonest arrival first
+ * @route   GET /api/hospitals/:id/incoming
+ * @access  Private/Admin/HospitalStaff
+ */
+router.get(
+  '/:id/incoming',
+  protect,
+  asyncHandler(async (req, res) => {
+    const hospital = await Hospital.findById(req.params.id).select('_id');
+
+    if (!hospital) {
+      res.status(404);
+      throw new Error('Hospital not found');
+    }
+
+    if (req.user.role !== 'admin' && !(await Hospital.isStaff(hospital._id, req.user._id))) {
+      res.status(403);
+      throw new Error('Not authorized to view incoming patients for this hospital');
+    }
+
+    const patients = await getIncomingPatients(hospital._id);
+
+    res.json({
+      success: true,
+      count: patients.length,
+      data: patients
     });
   })
 );
@@ -227,6 +426,27 @@ router.put(
       }
     }
 
+    // Beds change through PUT /api/hospitals/:id/capacity/:unit so dispatchers hear about it
+    if (req.body.capacity) {
+      res.status(400);
+      throw new Error('Update capacity per unit with PUT /api/hospitals/:id/capacity/:unit');
+    }
+
+    if (req.body.diversions) {
+      res.status(400);
+      throw new Error('Declare diversions with POST /api/hospitals/:id/diversions');
+    }
+
+    // ER staff can be managed by the hospital's own administrators
+    if (req.body.erStaff) {
+      const staffCount = await User.countDocuments({ _id: { $in: req.body.erStaff } });
+
+      if (staffCount !== req.body.erStaff.length) {
+        res.status(400);
+        throw new Error('One or more ER staff members not found');
+      }
+    }
+
     // Update hospital
     const updatedHospital = await Hospital.findByIdAndUpdate(
       req.params.id,
@@ -280,154 +500,148 @@ router.delete(
 );
 
 /**
- * @desc    Get nearby hospitals
- * @route   GET /api/hospitals/nearby
- * @access  Public
+ * @desc    Update the beds of one hospital unit (general, icu, trauma, pediatric or maternity).
+ *          Send the open total, or the number of free beds on top of those already held.
+ * @route   PUT /api/hospitals/:id/capacity/:unit
+ * @access  Private/Admin/HospitalAdmin
  */
-router.get(
-  '/nearby',
+router.put(
+  '/:id/capacity/:unit',
+  protect,
+  capacityRules,
+  validate,
   asyncHandler(async (req, res) => {
-    const { lat, lng, radius = 5000, limit = 5 } = req.query;
+    const hospital = await Hospital.findById(req.params.id);
 
-    if (!lat || !lng) {
-      res.status(400);
-      throw new Error('Latitude and longitude are required');
+    if (!hospital) {
+      res.status(404);
+      throw new Error('Hospital not found');
     }
 
-    const coordinates = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    // Check permission
+    const isAdmin = req.user.role === 'admin';
+    const isHospitalAdmin = req.user.role === 'hospital_admin' &&
+      hospital.administrators.some(admin => admin.toString() === req.user._id.toString());
 
-    try {
-      // First try to get hospitals from our database
-      const dbHospitals = await Hospital.findNearest(
-        coordinates, 
-        parseInt(radius),
-        parseInt(limit)
-      );
+    if (!isAdmin && !isHospitalAdmin) {
+      res.status(403);
+      throw new Error('Not authorized to update hospital capacity');
+    }
+
+    const { total, available } = req.body;
+    const capacity = await updateUnitCapacity(hospital, req.params.unit, { total, available });
 
-      // If we have enough, return them
-      if (dbHospitals.length >= parseInt(limit)) {
-        return res.json({
-          success: true,
-          source: 'database',
-          count: dbHospitals.length,
-          data: dbHospitals
-        });
+    res.json({
+      success: true,
+      data: {
+        unit: req.params.unit,
+        ...capacity
       }
+    });
+  })
+);
 
-      // Otherwise, also fetch from Google Maps API
-      const googleHospitals = await getNearbyHospitals(coordinates, parseInt(radius));
-      
-      // Filter out hospitals that are already in our database (to avoid duplicates)
-      const dbHospitalNames = dbHospitals.map(h => h.name.toLowerCase());
-      const filteredGoogleHospitals = googleHospitals
-        .filter(h => !dbHospitalNames.includes(h.name.toLowerCase()))
-        .map(h => ({
-          source: 'google',
-          name: h.name,
-          address: {
-            street: h.vicinity,
-            city: '',
-            state: '',
-            zipCode: '',
-            country: ''
-          },
-          location: {
-            type: 'Point',
-            coordinates: [h.geometry.location.lng, h.geometry.location.lat]
-          },
-          phone: h.formatted_phone_number || '',
-          rating: {
-            average: h.rating || 0,
-            count: h.user_ratings_total || 0
-          },
-          googlePlaceId: h.place_id
-        }));
-
-      // Combine results
-      const combinedResults = [
-        ...dbHospitals,
-        ...filteredGoogleHospitals.slice(0, parseInt(limit) - dbHospitals.length)
-      ];
-
-      res.json({
-        success: true,
-        source: 'combined',
-        count: combinedResults.length,
-        data: combinedResults
-      });
-    } catch (error) {
-      console.error('Error fetching nearby hospitals:', error);
-      
-      // If Google Maps API fails, still return database results
-      const dbHospitals = await Hospital.findNearest(
-        coordinates, 
-        parseInt(radius),
-        parseInt(limit)
-      );
-      
-      res.json({
-        success: true,
-        source: 'database',
-        count: dbHospitals.length,
-        data: dbHospitals,
-        error: error.message
-      });
+/**
+ * @desc    Get a hospital's diversions, latest first. Pass current=true for only the
+ *          scheduled and active ones.
+ * @route   GET /api/hospitals/:id/diversions
+ * @access  Private
+ */
+router.get(
+  '/:id/diversions',
+  protect,
+  asyncHandler(async (req, res) => {
+    const hospital = await Hospital.findById(req.params.id).select('diversions');
+
+    if (!hospital) {
+      res.status(404);
+      throw new Error('Hospital not found');
     }
+
+    const now = new Date();
+    const diversions = hospital.diversions
+      .map(diversion => describeDiversion(diversion, now))
+      .filter(diversion => req.query.current !== 'true' || ['scheduled', 'active'].includes(diversion.status))
+      .sort((a, b) => b.startsAt - a.startsAt);
+
+    res.json({
+      success: true,
+      count: diversions.length,
+      data: diversions
+    });
   })
 );
 
 /**
- * @desc    Update hospital capacity
- * @route   PUT /api/hospitals/:id/capacity
+ * @desc    Declare the hospital on divert, for every patient or only those needing
+ *          some specialties, from startsAt (default now) until endsAt
+ * @route   POST /api/hospitals/:id/diversions
  * @access  Private/Admin/HospitalAdmin
  */
-router.put(
-  '/:id/capacity',
+router.post(
+  '/:id/diversions',
   protect,
+  diversionRules,
+  validate,
   asyncHandler(async (req, res) => {
-    const { total, available } = req.body;
-    
-    if (total === undefined && available === undefined) {
-      res.status(400);
-      throw new Error('Total or available capacity must be provided');
-    }
-    
     const hospital = await Hospital.findById(req.params.id);
-    
+
     if (!hospital) {
       res.status(404);
       throw new Error('Hospital not found');
     }
-    
+
     // Check permission
     const isAdmin = req.user.role === 'admin';
-    const isHospitalAdmin = req.user.role === 'hospital_admin' && 
+    const isHospitalAdmin = req.user.role === 'hospital_admin' &&
       hospital.administrators.some(admin => admin.toString() === req.user._id.toString());
-    
+
     if (!isAdmin && !isHospitalAdmin) {
       res.status(403);
-      throw new Error('Not authorized to update hospital capacity');
+      throw new Error('Not authorized to declare a diversion for this hospital');
     }
-    
-    // Update capacity
-    if (total !== undefined) {
-      hospital.emergencyCapacity.total = total;
-    }
-    
-    if (available !== undefined) {
-      hospital.emergencyCapacity.available = available;
+
+    const { specialties, startsAt, endsAt, reason } = req.body;
+    const diversion = await declareDiversion(hospital, req.user, { specialties, startsAt, endsAt, reason });
+
+    res.status(201).json({
+      success: true,
+      data: describeDiversion(diversion)
+    });
+  })
+);
+
+/**
+ * @desc    End a diversion early, or call off one that has not started
+ * @route   DELETE /api/hospitals/:id/diversions/:diversionId
+ * @access  Private/Admin/HospitalAdmin
+ */
+router.delete(
+  '/:id/diversions/:diversionId',
+  protect,
+  asyncHandler(async (req, res) => {
+    const hospital = await Hospital.findById(req.params.id);
+
+    if (!hospital) {
+      res.status(404);
+      throw new Error('Hospital not found');
     }
-    
-    // Ensure available doesn't exceed total
-    if (hospital.emergencyCapacity.available > hospital.emergencyCapacity.total) {
-      hospital.emergencyCapacity.available = hospital.emergencyCapacity.total;
+
+    // Check permission
+    const isAdmin = req.user.role === 'admin';
+    const isHospitalAdmin = req.user.role === 'hospital_admin' &&
+      hospital.administrators.some(admin => admin.toString() === req.user._id.toString());
+
+    if (!isAdmin && !isHospitalAdmin) {
+      res.status(403);
+      throw new Error('Not authorized to cancel a diversion for this hospital');
     }
-    
-    await hospital.save();
-    
+
+    const diversion = await cancelDiversion(hospital, req.params.diversionId);
+
     res.json({
       success: true,
-      data: hospital.emergencyCapacity
+      data: describeDiversion(diversion)
     });
   })
 );
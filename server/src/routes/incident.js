@@ -0,0 +1,329 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { protect, admin } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { incidentRules, casualtyRules, validate } = require('../middlewares/validator');
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const {
+  addCasualties,
+  dispatchUnits,
+  distributeToHospitals
+} = require('../services/incidentService');
+const { EVENTS, ROOMS, publish, publishToIncident } = require('../services/realtime');
+
+const router = express.Router();
+
+/**
+ * Check if user can manage an incident (admin or its commander)
+ */
+const canManageIncident = (incident, user) =>
+  user.role === 'admin' ||
+  (!!incident.commander && incident.commander.toString() === user._id.toString());
+
+/**
+ * Check every pair in a batch has valid ids, so nothing is dispatched from a bad batch
+ * @returns {Boolean}
+ */
+const hasValidIds = (pairs, idField) =>
+  pairs.every(pair => pair &&
+    mongoose.isValidObjectId(pair.emergencyId) &&
+    mongoose.isValidObjectId(pair[idField]));
+
+/**
+ * Load an incident the current user can manage, or fail the request
+ */
+const loadManagedIncident = async (req, res) => {
+  const incident = await Incident.findById(req.params.id);
+
+  if (!incident) {
+    res.status(404);
+    throw new Error('Incident not found');
+  }
+
+  if (!canManageIncident(incident, req.user)) {
+    res.status(403);
+    throw new Error('Not authorized to manage this incident');
+  }
+
+  return incident;
+};
+
+/**
+ * @desc    Declare a multi-casualty incident
+ * @route   POST /api/incidents
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  protect,
+  admin,
+  incidentRules,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { title, description, location, commander } = req.body;
+
+    // Check if commander exists
+    if (commander) {
+      const commanderUser = await User.findById(commander);
+      if (!commanderUser) {
+        res.status(404);
+        throw new Error('Commander not found');
+      }
+    }
+
+    const incident = await Incident.create({
+      title,
+      description,
+      location,
+      commander,
+      createdBy: req.user._id,
+      timeline: [
+        {
+          event: 'incident_declared',
+          time: new Date(),
+          notes: `Incident declared by ${req.user.name}`
+        }
+      ]
+    });
+
+    publish([ROOMS.admins, commander && ROOMS.user(commander)], EVENTS.INCIDENT_CREATED, {
+      incidentId: incident._id,
+      title,
+      location
+    });
+
+    res.status(201).json({
+      success: true,
+      data: incident
+    });
+  })
+);
+
+/**
+ * @desc    Get incidents
+ * @route   GET /api/incidents
+ * @access  Private/Admin/Commander
+ */
+router.get(
+  '/',
+  protect,
+  asyncHandler(async (req, res) => {
+    const filter = {};
+
+    // Non-admins only see incidents they command
+    if (req.user.role !== 'admin') {
+      filter.commander = req.user._id;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const incidents = await Incident.find(filter)
+      .populate('commander', 'name phone')
+      .select('-timeline')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: incidents.length,
+      data: incidents
+    });
+  })
+);
+
+/**
+ * @desc    Get incident with its casualties and timeline
+ * @route   GET /api/incidents/:id
+ * @access  Private/Admin/Commander
+ */
+router.get(
+  '/:id',
+  protect,
+  asyncHandler(async (req, res) => {
+    const incident = await Incident.findById(req.params.id)
+      .populate('commander', 'name phone')
+      .populate({
+        path: 'emergencies',
+        select: 'casualtyLabel patient severity emergencyType status ambulance hospital dispatch.offer.status',
+        populate: [
+          { path: 'patient', select: 'name phone' },
+          { path: 'ambulance', select: 'registrationNumber type currentLocation' },
+          { path: 'hospital', select: 'name address phone' }
+        ]
+      });
+
+    if (!incident) {
+      res.status(404);
+      throw new Error('Incident not found');
+    }
+
+    const isCommander = incident.commander && incident.commander._id.toString() === req.user._id.toString();
+    if (req.user.role !== 'admin' && !isCommander) {
+      res.status(403);
+      throw new Error('Not authorized to access this incident');
+    }
+
+    res.json({
+      success: true,
+      data: incident
+    });
+  })
+);
+
+/**
+ * @desc    Update incident details, commander or status
+ * @route   PUT /api/incidents/:id
+ * @access  Private/Admin/Commander
+ */
+router.put(
+  '/:id',
+  protect,
+  asyncHandler(async (req, res) => {
+    const incident = await loadManagedIncident(req, res);
+    const { title, description, commander, status } = req.body;
+
+    if (title) {
+      incident.title = title;
+    }
+    if (description !== undefined) {
+      incident.description = description;
+    }
+
+    if (commander && commander !== (incident.commander && incident.commander.toString())) {
+      const commanderUser = await User.findById(commander);
+      if (!commanderUser) {
+        res.status(404);
+        throw new Error('Commander not found');
+      }
+      incident.commander = commanderUser._id;
+      incident.timeline.push({
+        event: 'commander_changed',
+        time: new Date(),
+        notes: `${commanderUser.name} is now incident commander (set by ${req.user.name})`
+      });
+    }
+
+    if (status && status !== incident.status) {
+      if (!['resolved', 'cancelled'].includes(status) || incident.status !== 'active') {
+        res.status(400);
+        throw new Error('Only an active incident can be resolved or cancelled');
+      }
+      incident.status = status;
+      incident.timeline.push({
+        event: status === 'resolved' ? 'incident_resolved' : 'incident_cancelled',
+        time: new Date(),
+        notes: `Incident ${status} by ${req.user.name}`
+      });
+    }
+
+    await incident.save();
+
+    publishToIncident(incident._id, EVENTS.INCIDENT_UPDATED, {
+      incidentId: incident._id,
+      status: incident.status,
+      commander: incident.commander,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      data: incident
+    });
+  })
+);
+
+/**
+ * @desc    Add casualties to an incident
+ * @route   POST /api/incidents/:id/casualties
+ * @access  Private/Admin/Commander
+ */
+router.post(
+  '/:id/casualties',
+  protect,
+  casualtyRules,
+  validate,
+  asyncHandler(async (req, res) => {
+    const incident = await loadManagedIncident(req, res);
+
+    if (incident.status !== 'active') {
+      res.status(400);
+      throw new Error('Casualties can only be added to an active incident');
+    }
+
+    const emergencies = await addCasualties(incident, req.body.casualties, req.user);
+
+    res.status(201).json({
+      success: true,
+      count: emergencies.length,
+      data: emergencies
+    });
+  })
+);
+
+/**
+ * @desc    Dispatch ambulances to several casualties at once
+ * @route   POST /api/incidents/:id/dispatch
+ * @access  Private/Admin/Commander
+ */
+router.post(
+  '/:id/dispatch',
+  protect,
+  asyncHandler(async (req, res) => {
+    const incident = await loadManagedIncident(req, res);
+    const { assignments = [] } = req.body;
+
+    if (!Array.isArray(assignments)) {
+      res.status(400);
+      throw new Error('Assignments must be a list of {emergencyId, ambulanceId}');
+    }
+
+    if (!hasValidIds(assignments, 'ambulanceId')) {
+      res.status(400);
+      throw new Error('Every assignment needs a valid emergencyId and ambulanceId');
+    }
+
+    const results = await dispatchUnits(incident, assignments, req.user);
+
+    res.json({
+      success: true,
+      count: results.length,
+      data: results
+    });
+  })
+);
+
+/**
+ * @desc    Split casualties across receiving hospitals
+ * @route   POST /api/incidents/:id/hospitals
+ * @access  Private/Admin/Commander
+ */
+router.post(
+  '/:id/hospitals',
+  protect,
+  asyncHandler(async (req, res) => {
+    const incident = await loadManagedIncident(req, res);
+    const { allocations = [] } = req.body;
+
+    if (!Array.isArray(allocations)) {
+      res.status(400);
+      throw new Error('Allocations must be a list of {emergencyId, hospitalId}');
+    }
+
+    if (!hasValidIds(allocations, 'hospitalId')) {
+      res.status(400);
+      throw new Error('Every allocation needs a valid emergencyId and hospitalId');
+    }
+
+    const results = await distributeToHospitals(incident, allocations, req.user);
+
+    res.json({
+      success: true,
+      count: results.length,
+      data: results
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const path = require('path');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { getDriverName } = require('../services/storage');
+const localStorage = require('../services/storage/localStorage');
+const { MEDIA_URL_TTL_SECONDS } = require('../config/storage');
+
+const router = express.Router();
+
+/**
+ * @desc    Serve a locally stored attachment. The signed token in the URL is the
+ *          authorization, so the URL works in <img> and <audio> tags until it expires.
+ * @route   GET /api/media/:key?token=
+ * @access  Signed URL
+ */
+router.get(
+  '/*',
+  asyncHandler(async (req, res) => {
+    const key = req.params[0];
+
+    if (getDriverName() !== 'local') {
+      res.status(404);
+      throw new Error('Media not found');
+    }
+
+    if (!req.query.token || !localStorage.verifyToken(key, req.query.token)) {
+      res.status(403);
+      throw new Error('Media link is invalid or has expired');
+    }
+
+    const file = await localStorage.open(key);
+    if (!file) {
+      res.status(404);
+      throw new Error('Media not found');
+    }
+
+    res.type(path.extname(key));
+    res.set({
+      'Content-Length': file.size,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': `private, max-age=${MEDIA_URL_TTL_SECONDS}`
+    });
+    file.stream.on('error', err => res.destroy(err));
+    file.stream.pipe(res);
+  })
+);
+
+module.exports = router;
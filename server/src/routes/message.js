@@ -0,0 +1,112 @@
+const express = require('express');
+const { protect } = require('../middlewares/auth');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { messageRules, validate } = require('../middlewares/validator');
+const { uploadAttachments } = require('../middlewares/upload');
+const {
+  sendMessage,
+  getMessages,
+  readMessage,
+  readConversation
+} = require('../services/chatService');
+
+const router = express.Router();
+
+/**
+ * @desc    Send a message to another participant of an emergency. Photos, voice notes
+ *          and documents are sent as multipart/form-data in the "files" field.
+ * @route   POST /api/messages
+ * @access  Private/Participant
+ */
+router.post(
+  '/',
+  protect,
+  uploadAttachments,
+  messageRules,
+  validate,
+  asyncHandler(async (req, res) => {
+    const { emergencyId, receiverId, text, location } = req.body;
+
+    const message = await sendMessage(emergencyId, req.user, {
+      receiverId,
+      text,
+      location,
+      files: req.files
+    });
+
+    res.status(201).json({
+      success: true,
+      data: message
+    });
+  })
+);
+
+/**
+ * @desc    Get the messages of an emergency, newest first
+ * @route   GET /api/messages/emergency/:emergencyId
+ * @access  Private/Participant
+ */
+router.get(
+  '/emergency/:emergencyId',
+  protect,
+  asyncHandler(async (req, res) => {
+    const { messages, total, page, limit } = await getMessages(req.params.emergencyId, req.user, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: messages
+    });
+  })
+);
+
+/**
+ * @desc    Mark every message received on an emergency as read
+ * @route   PUT /api/messages/emergency/:emergencyId/read
+ * @access  Private/Participant
+ */
+router.put(
+  '/emergency/:emergencyId/read',
+  protect,
+  asyncHandler(async (req, res) => {
+    const { count, readAt } = await readConversation(req.params.emergencyId, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        count,
+        readAt
+      }
+    });
+  })
+);
+
+/**
+ * @desc    Mark a message as read
+ * @route   PUT /api/messages/:id/read
+ * @access  Private/Receiver
+ */
+router.put(
+  '/:id/read',
+  protect,
+  asyncHandler(async (req, res) => {
+    const message = await readMessage(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        _id: message._id,
+        status: message.status,
+        readAt: message.readAt
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const { measureTrail } = require('../tripService');
+const { haversineDistance } = require('../../utils/geoUtils');
+
+// Points along a line of latitude, recorded a minute apart
+const trail = (...lngs) => lngs.map((lng, index) => ({
+  lat: 12.97,
+  lng,
+  recordedAt: new Date(Date.UTC(2024, 0, 1, 8, index))
+}));
+
+describe('measureTrail', () => {
+  it('is zero for an empty or single point trail', () => {
+    expect(measureTrail([])).toBe(0);
+    expect(measureTrail(trail(77.59))).toBe(0);
+  });
+
+  it('adds up the distance between consecutive points', () => {
+    const points = trail(77.59, 77.595, 77.6);
+    const expected = haversineDistance(points[0], points[1]) + haversineDistance(points[1], points[2]);
+
+    expect(measureTrail(points)).toBe(Math.round(expected));
+  });
+
+  it('skips a point that implies an impossible speed', () => {
+    // 77.7 is about 12 km from its neighbours, a minute apart
+    const points = trail(77.59, 77.595, 77.7, 77.6);
+    const expected = haversineDistance(points[0], points[1]) + haversineDistance(points[1], points[3]);
+
+    expect(measureTrail(points)).toBe(Math.round(expected));
+  });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Ambulance = require('../models/Ambulance');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const Incident = require('../models/Incident');
+
+// Accept populated documents as well as plain ids
+const idOf = (ref) => (ref._id || ref).toString();
+
+/**
+ * Check if the user drives the ambulance assigned to an emergency
+ * @param {Object} emergency - Emergency, ambulance may be populated
+ * @param {Object} user - User document
+ * @returns {Promise<Boolean>}
+ */
+const isAssignedDriver = async (emergency, user) => {
+  if (!emergency.ambulance) {
+    return false;
+  }
+
+  if (emergency.ambulance.driver) {
+    return idOf(emergency.ambulance.driver) === user._id.toString();
+  }
+
+  return !!(await Ambulance.exists({ _id: idOf(emergency.ambulance), driver: user._id }));
+};
+
+/**
+ * Check if the user works at the emergency's receiving hospital (administrator or ER staff)
+ * @param {Object} emergency - Emergency, hospital may be populated
+ * @param {Object} user - User document
+ * @returns {Promise<Boolean>}
+ */
+const isHospitalStaff = async (emergency, user) =>
+  !!emergency.hospital && !!(await Hospital.isStaff(idOf(emergency.hospital), user._id));
+
+/**
+ * Check if a user may view an emergency: admin, patient, requester, assigned driver,
+ * receiving hospital staff or incident commander
+ * @param {Object} emergency - Emergency, references may be populated
+ * @param {Object} user - User document
+ * @returns {Promise<Boolean>}
+ */
+const canViewEmergency = async (emergency, user) => {
+  const userId = user._id.toString();
+
+  if (user.role === 'admin') {
+    return true;
+  }
+  if ((emergency.patient && idOf(emergency.patient) === userId) || idOf(emergency.requestedBy) === userId) {
+    return true;
+  }
+  if (await isAssignedDriver(emergency, user)) {
+    return true;
+  }
+  if (await isHospitalStaff(emergency, user)) {
+    return true;
+  }
+  return !!emergency.incident &&
+    !!(await Incident.exists({ _id: idOf(emergency.incident), commander: user._id }));
+};
+
+/**
+ * Users who take part in an emergency's chat: the patient, the requester,
+ * the assigned driver and the receiving hospital's staff
+ * @param {Object} emergency - Emergency, references may be populated
+ * @returns {Promise<Array>} User ids as strings
+ */
+const getChatParticipants = async (emergency) => {
+  const ids = [emergency.patient, emergency.requestedBy];
+
+  if (emergency.ambulance) {
+    const ambulance = emergency.ambulance.driver !== undefined
+      ? emergency.ambulance
+      : await Ambulance.findById(idOf(emergency.ambulance)).select('driver');
+    ids.push(ambulance && ambulance.driver);
+  }
+
+  if (emergency.hospital) {
+    const hospital = await Hospital.findById(idOf(emergency.hospital)).select('administrators erStaff');
+    ids.push(...(hospital ? [...hospital.administrators, ...hospital.erStaff] : []));
+  }
+
+  return [...new Set(ids.filter(Boolean).map(idOf))];
+};
+
+/**
+ * Check if a user may follow an incident (admin or its commander)
+ * @param {String} incidentId - Incident ID
+ * @param {Object} user - User document
+ * @returns {Promise<Boolean>}
+ */
+const canViewIncident = async (incidentId, user) =>
+  user.role === 'admin' || !!(await Incident.exists({ _id: incidentId, commander: user._id }));
+
+/**
+ * Check if a user may join a socket room: emergency:<id> or incident:<id>. Personal,
+ * hospital and admin rooms are joined on connect and cannot be joined on request.
+ * @param {String} room - Room name
+ * @param {Object} user - User document
+ * @returns {Promise<Boolean>}
+ */
+const canJoinRoom = async (room, user) => {
+  if (typeof room !== 'string') {
+    return false;
+  }
+
+  const [scope, id] = room.split(':');
+  if (!mongoose.isValidObjectId(id)) {
+    return false;
+  }
+
+  if (scope === 'incident') {
+    return canViewIncident(id, user);
+  }
+
+  if (scope === 'emergency') {
+    const emergency = await Emergency.findById(id).select('patient requestedBy ambulance hospital incident');
+    return !!emergency && canViewEmergency(emergency, user);
+  }
+
+  return false;
+};
+
+module.exports = {
+  isAssignedDriver,
+  isHospitalStaff,
+  canViewEmergency,
+  canViewIncident,
+  canJoinRoom,
+  getChatParticipants
+};
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const Ambulance = require('../models/Ambulance');
+const Booking = require('../models/Booking');
+const Emergency = require('../models/Emergency');
+const {
+  BOOKING_TRIP_MINUTES,
+  BOOKING_CONVERSION_LEAD_MINUTES,
+  BOOKING_SCHEDULER_INTERVAL_SECONDS,
+  MAX_RECURRING_OCCURRENCES
+} = require('../config/booking');
+const { haversineDistance, toLatLng } = require('../utils/geoUtils');
+const { offerAmbulance } = require('./dispatchService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let schedulerTimer = null;
+
+/**
+ * Expand a pickup window into its recurring occurrences
+ * @param {Object} pickupWindow - {start, end}
+ * @param {Object} recurrence - Optional {frequency: daily|weekly, count}
+ * @returns {Array} [{start, end, occurrence}]
+ */
+const buildOccurrences = (pickupWindow, recurrence) => {
+  const start = new Date(pickupWindow.start);
+  const end = new Date(pickupWindow.end);
+
+  if (!recurrence) {
+    return [{ start, end, occurrence: 1 }];
+  }
+
+  const step = recurrence.frequency === 'weekly' ? 7 * DAY_MS : DAY_MS;
+  const count = Math.min(parseInt(recurrence.count) || 1, MAX_RECURRING_OCCURRENCES);
+
+  return Array.from({ length: count }, (_, index) => ({
+    start: new Date(start.getTime() + index * step),
+    end: new Date(end.getTime() + index * step),
+    occurrence: index + 1
+  }));
+};
+
+/**
+ * Time until which a booking keeps its ambulance
+ */
+const getBlockedUntil = (windowEnd) => new Date(new Date(windowEnd).getTime() + BOOKING_TRIP_MINUTES * 60000);
+
+/**
+ * Find ambulances that meet the requirements and are not booked during a time range
+ * @param {Date} start - Start of the range (pickup window start)
+ * @param {Date} blockedUntil - End of the range
+ * @param {Object} requirements - {ambulanceType, features}
+ * @param {Object} pickup - Pickup coordinates {lat, lng}, used to prefer nearby units
+ * @returns {Promise<Array>} Free ambulances, closest first
+ */
+const findFreeAmbulances = async (start, blockedUntil, requirements = {}, pickup = null) => {
+  const query = {
+    type: requirements.ambulanceType || 'patient-transport',
+    status: { $ne: 'maintenance' },
+    driver: { $ne: null }
+  };
+
+  if (requirements.features && requirements.features.length > 0) {
+    query.features = { $all: requirements.features };
+  }
+
+  // A window that opens within the conversion lead time is offered straight away, so
+  // the ambulance must not be on another trip or holding another offer right now
+  if (start <= new Date(Date.now() + BOOKING_CONVERSION_LEAD_MINUTES * 60000)) {
+    query.status = { $nin: ['maintenance', 'busy'] };
+    query.pendingOffer = null;
+  }
+
+  const ambulances = await Ambulance.find(query)
+    .select('registrationNumber type features currentLocation hospital driver maintenanceSchedule')
+    .lean();
+
+  const overlapping = await Booking.findOverlapping(start, blockedUntil, ambulances.map(a => a._id));
+  const bookedIds = overlapping.map(booking => booking.ambulance.toString());
+
+  const free = ambulances.filter(ambulance =>
+    !bookedIds.includes(ambulance._id.toString()) &&
+    !(ambulance.maintenanceSchedule &&
+      ambulance.maintenanceSchedule >= start &&
+      ambulance.maintenanceSchedule < blockedUntil)
+  );
+
+  if (pickup) {
+    free.forEach(ambulance => {
+      ambulance.distance = haversineDistance(toLatLng(ambulance.currentLocation), pickup);
+    });
+    free.sort((a, b) => a.distance - b.distance);
+  }
+
+  return free;
+};
+
+/**
+ * Save a booking and make sure its ambulance is not booked twice. Two requests can pick
+ * the same free ambulance at once, so each looks again once saved: of the bookings that
+ * overlap, the one with the lowest id keeps the ambulance and the others are removed.
+ * @param {Object} data - Booking fields, ambulance included
+ * @returns {Promise<Object|null>} The booking, or null if another booking took the ambulance
+ */
+const claimAmbulance = async (data) => {
+  const booking = await Booking.create(data);
+
+  const overlapping = await Booking.findOverlapping(data.pickupWindow.start, data.blockedUntil, [data.ambulance]);
+  if (overlapping.some(other => other._id.toString() < booking._id.toString())) {
+    await Booking.deleteOne({ _id: booking._id, status: 'scheduled' });
+    return null;
+  }
+
+  return booking;
+};
+
+/**
+ * Create a booking, or a recurring series of bookings, each with an ambulance blocked off.
+ * Nothing is created if any occurrence has no free ambulance.
+ * @param {Object} data - Booking fields plus optional recurrence {frequency, count}
+ * @param {Object} user - User making the booking
+ * @returns {Promise<Object>} {bookings} on success or {conflicts} listing unavailable windows
+ */
+const createBookings = async (data, user) => {
+  const occurrences = buildOccurrences(data.pickupWindow, data.recurrence);
+  const requirements = data.requirements || {};
+  const seriesId = occurrences.length > 1 ? new mongoose.Types.ObjectId() : null;
+
+  const bookings = [];
+  const conflicts = [];
+
+  for (const occurrence of occurrences) {
+    const blockedUntil = getBlockedUntil(occurrence.end);
+    const ambulances = await findFreeAmbulances(
+      occurrence.start,
+      blockedUntil,
+      requirements,
+      data.pickup.coordinates
+    );
+
+    // Once one occurrence cannot be booked the rest are only checked, not saved
+    if (conflicts.length > 0) {
+      if (ambulances.length === 0) {
+        conflicts.push({ start: occurrence.start, end: occurrence.end });
+      }
+      continue;
+    }
+
+    let booking = null;
+    for (const ambulance of ambulances) {
+      booking = await claimAmbulance({
+        patient: data.patient || user._id,
+        requestedBy: user._id,
+        purpose: data.purpose,
+        pickup: data.pickup,
+        destination: data.destination,
+        pickupWindow: { start: occurrence.start, end: occurrence.end },
+        blockedUntil,
+        requirements,
+        ambulance: ambulance._id,
+        series: seriesId ? {
+          id: seriesId,
+          frequency: data.recurrence.frequency,
+          occurrence: occurrence.occurrence
+        } : undefined,
+        notes: data.notes
+      });
+      if (booking) {
+        break;
+      }
+    }
+
+    if (booking) {
+      bookings.push(booking);
+    } else {
+      conflicts.push({ start: occurrence.start, end: occurrence.end });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    await Booking.deleteMany({ _id: { $in: bookings.map(booking => booking._id) }, status: 'scheduled' });
+    return { conflicts };
+  }
+
+  return { bookings };
+};
+
+/**
+ * Turn a booking into a live trip and offer it to the blocked ambulance
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} The created emergency
+ */
+const convertBooking = async (booking) => {
+  const purpose = booking.purpose.replace(/_/g, ' ');
+
+  const emergency = await Emergency.create({
+    patient: booking.patient,
+    requestedBy: booking.requestedBy,
+    booking: booking._id,
+    severity: 'low',
+    emergencyType: 'other',
+    location: {
+      pickup: booking.pickup,
+      destination: {
+        address: booking.destination.address,
+        coordinates: booking.destination.coordinates
+      }
+    },
+    medicalNotes: `Scheduled ${purpose} transport${booking.notes ? `: ${booking.notes}` : ''}`,
+    dispatch: { mode: 'manual' },
+    timeline: [
+      {
+        status: 'emergency_requested',
+        time: new Date(),
+        notes: `Scheduled ${purpose} transport, pickup between ` +
+          `${booking.pickupWindow.start.toISOString()} and ${booking.pickupWindow.end.toISOString()}`
+      }
+    ]
+  });
+
+  booking.status = 'converted';
+  booking.emergency = emergency._id;
+  await booking.save();
+
+  // If the blocked ambulance is not free, or has stopped reporting its location,
+  // the trip waits in the dispatch queue
+  const blocked = await Ambulance.findById(booking.ambulance).select('currentLocation');
+  const ambulance = blocked && !blocked.hasStaleLocation()
+    ? await offerAmbulance(emergency, booking.ambulance, {
+      notes: `Booked ${purpose} transport`
+    })
+    : null;
+
+  if (!ambulance) {
+    console.warn(`Booked ambulance for booking ${booking._id} is not available, trip left in dispatch queue`);
+  }
+
+  return emergency;
+};
+
+/**
+ * Convert every scheduled booking whose pickup window opens within the lead time
+ * @returns {Promise<Number>} Number of bookings converted
+ */
+const convertDueBookings = async () => {
+  const cutoff = new Date(Date.now() + BOOKING_CONVERSION_LEAD_MINUTES * 60000);
+  const bookings = await Booking.find({
+    status: 'scheduled',
+    'pickupWindow.start': { $lte: cutoff }
+  });
+
+  let converted = 0;
+  for (const booking of bookings) {
+    try {
+      await convertBooking(booking);
+      converted += 1;
+    } catch (error) {
+      console.error(`Error converting booking ${booking._id}:`, error);
+    }
+  }
+
+  return converted;
+};
+
+/**
+ * Start the background job that converts bookings shortly before pickup
+ */
+const startBookingScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  schedulerTimer = setInterval(() => {
+    convertDueBookings()
+      .catch(err => console.error('Booking scheduler error:', err));
+  }, BOOKING_SCHEDULER_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+  buildOccurrences,
+  getBlockedUntil,
+  findFreeAmbulances,
+  createBookings,
+  convertDueBookings,
+  startBookingScheduler
+};
@@ -0,0 +1,366 @@
+const BedReservation = require('../models/BedReservation');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const {
+  CAPACITY_UNITS,
+  UNIT_RULES,
+  RESERVATION_TTL_MINUTES,
+  RESERVATION_SWEEP_INTERVAL_SECONDS
+} = require('../config/capacity');
+const { createError } = require('../middlewares/errorHandler');
+const { EVENTS, ROOMS, publish } = require('./realtime');
+
+// Emergencies that may still hold a bed they have not used yet
+const RESERVING_STATUSES = [
+  'pending', 'assigned', 'en_route', 'arrived_at_patient', 'transporting', 'arrived_at_hospital'
+];
+
+// Attempts at taking a free bed when another dispatcher takes the same one first
+const RESERVE_ATTEMPTS = 3;
+
+let sweepTimer = null;
+
+const ttlFrom = (date) => new Date(date.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+/**
+ * Work out which hospital unit an emergency needs a bed in
+ * @param {Object} emergency - Emergency {severity, emergencyType, pediatric}
+ * @returns {String} Unit from CAPACITY_UNITS
+ */
+const selectUnit = (emergency) => {
+  const rule = UNIT_RULES.find(({ pediatric, emergencyTypes, severities }) =>
+    (pediatric === undefined || pediatric === !!emergency.pediatric) &&
+    (!emergencyTypes || emergencyTypes.includes(emergency.emergencyType)) &&
+    (!severities || severities.includes(emergency.severity))
+  );
+
+  return rule ? rule.unit : 'general';
+};
+
+/**
+ * Count the beds held in each unit of some hospitals
+ * @param {Array} hospitals - Hospital documents, lean objects or ids
+ * @returns {Promise<Map>} Held beds keyed by "<hospitalId>:<unit>"
+ */
+const countHeldBeds = (hospitals) =>
+  BedReservation.countHeld(hospitals.map(hospital => hospital._id || hospital));
+
+/**
+ * Beds of one unit of a hospital
+ * @param {Object} hospital - Hospital document or lean object
+ * @param {String} unit - Unit name
+ * @param {Map} held - From countHeldBeds
+ * @returns {Object} {total, held, available}
+ */
+const getUnitCapacity = (hospital, unit, held) => {
+  const beds = hospital.capacity && hospital.capacity[unit];
+  const total = beds && beds.total ? beds.total : 0;
+  const reserved = held.get(`${hospital._id}:${unit}`) || 0;
+
+  return {
+    total,
+    held: reserved,
+    available: Math.max(0, total - reserved)
+  };
+};
+
+/**
+ * Beds of every unit of a hospital
+ * @param {Object} hospital - Hospital document or lean object
+ * @param {Map} held - From countHeldBeds
+ * @returns {Object} {<unit>: {total, held, available}}
+ */
+const describeCapacity = (hospital, held) =>
+  Object.fromEntries(CAPACITY_UNITS.map(unit => [unit, getUnitCapacity(hospital, unit, held)]));
+
+/**
+ * Replace the stored bed totals of hospitals with their derived capacity
+ * @param {Array} hospitals - Hospital documents or lean objects
+ * @returns {Promise<Array>} Plain hospitals with capacity {<unit>: {total, held, available}}
+ */
+const withCapacity = async (hospitals) => {
+  const held = await countHeldBeds(hospitals);
+
+  return hospitals.map(hospital => ({
+    ...(typeof hospital.toObject === 'function' ? hospital.toObject() : hospital),
+    capacity: describeCapacity(hospital, held)
+  }));
+};
+
+/**
+ * Let dispatchers and the hospital's staff know a unit's beds changed
+ * @param {String} hospitalId - Hospital ID
+ * @param {String} unit - Unit that changed
+ * @param {String} reason - reserved, released, consumed, expired or updated
+ */
+const broadcastCapacity = async (hospitalId, unit, reason) => {
+  const hospital = await Hospital.findById(hospitalId).select('name capacity');
+  if (!hospital) {
+    return;
+  }
+
+  publish([ROOMS.admins, ROOMS.hospital(hospital._id)], EVENTS.HOSPITAL_CAPACITY_UPDATED, {
+    hospitalId: hospital._id,
+    name: hospital.name,
+    unit,
+    reason,
+    capacity: getUnitCapacity(hospital, unit, await countHeldBeds([hospital])),
+    timestamp: new Date()
+  });
+};
+
+const announce = (hospitalId, unit, reason) => {
+  broadcastCapacity(hospitalId, unit, reason)
+    .catch(err => console.error('Capacity broadcast error:', err));
+};
+
+/**
+ * Close the active reservation of an emergency
+ * @param {Object} emergency - Emergency document
+ * @param {String} status - released, consumed or expired
+ * @param {String} reason - Why it was closed
+ * @returns {Promise<Object|null>} The reservation, or null if the emergency held none
+ */
+const closeReservation = async (emergency, status, reason) => {
+  const reservation = await BedReservation.close({ emergency: emergency._id }, status, reason);
+  if (reservation) {
+    announce(reservation.hospital, reservation.unit, status);
+  }
+  return reservation;
+};
+
+/**
+ * Hold a bed for an emergency in a hospital unit. A free bed number is picked and the
+ * unique index on active reservations settles races between dispatchers. A bed the
+ * emergency already holds elsewhere is given back first.
+ * @param {Object} emergency - Emergency document
+ * @param {String} hospitalId - Hospital ID
+ * @param {String} unit - Unit name
+ * @returns {Promise<Object|null>} The reservation, or null if the unit is full
+ */
+const reserveBed = async (emergency, hospitalId, unit) => {
+  const current = await BedReservation.findOne({ emergency: emergency._id, status: 'active' });
+  if (current && current.hospital.toString() === hospitalId.toString() && current.unit === unit) {
+    return current;
+  }
+  if (current) {
+    await closeReservation(emergency, 'released', 'Moved to another hospital or unit');
+  }
+
+  for (let attempt = 0; attempt < RESERVE_ATTEMPTS; attempt += 1) {
+    const hospital = await Hospital.findById(hospitalId).select('capacity');
+    const total = hospital && hospital.capacity[unit] ? hospital.capacity[unit].total : 0;
+
+    const taken = await BedReservation.find({ hospital: hospitalId, unit, status: 'active' }).distinct('slot');
+    const slot = [...Array(total).keys()].find(bed => !taken.includes(bed));
+    if (slot === undefined) {
+      return null;
+    }
+
+    try {
+      const reservation = await BedReservation.create({
+        hospital: hospitalId,
+        unit,
+        emergency: emergency._id,
+        slot,
+        expiresAt: ttlFrom(new Date())
+      });
+      announce(hospitalId, unit, 'reserved');
+      return reservation;
+    } catch (error) {
+      // Someone took the same bed first, look again
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Give back the bed an emergency holds, e.g. when it is cancelled
+ * @param {Object} emergency - Emergency document
+ * @param {String} reason - Why
+ * @returns {Promise<Object|null>} The reservation, or null if the emergency held none
+ */
+const releaseBed = (emergency, reason) => closeReservation(emergency, 'released', reason);
+
+/**
+ * Turn the bed an emergency holds into an occupied bed once the patient is handed over.
+ * The bed comes off the unit's open total until the hospital opens it again.
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Object|null>} The reservation, or null if the emergency held none
+ */
+const consumeBed = async (emergency) => {
+  const reservation = await BedReservation.close({ emergency: emergency._id }, 'consumed', 'Patient handed over');
+  if (!reservation) {
+    return null;
+  }
+
+  const path = `capacity.${reservation.unit}.total`;
+  await Hospital.updateOne({ _id: reservation.hospital, [path]: { $gt: 0 } }, { $inc: { [path]: -1 } });
+  announce(reservation.hospital, reservation.unit, 'consumed');
+
+  return reservation;
+};
+
+/**
+ * Let go of reservations whose emergency stopped progressing. A reservation that is due
+ * is kept (and pushed back) while its emergency is still moving towards the hospital;
+ * otherwise it expires and the bed is free again.
+ * @returns {Promise<Object>} {expired, extended}
+ */
+const expireStaleReservations = async () => {
+  const now = new Date();
+  let expired = 0;
+  let extended = 0;
+
+  const due = await BedReservation.find({ status: 'active', expiresAt: { $lte: now } })
+    .populate('emergency', 'status hospital updatedAt');
+
+  for (const reservation of due) {
+    const { emergency } = reservation;
+    const stillHeading = !!emergency &&
+      RESERVING_STATUSES.includes(emergency.status) &&
+      !!emergency.hospital && emergency.hospital.toString() === reservation.hospital.toString();
+
+    if (stillHeading && ttlFrom(emergency.updatedAt) > now) {
+      await BedReservation.updateOne(
+        { _id: reservation._id, status: 'active' },
+        { expiresAt: ttlFrom(emergency.updatedAt) }
+      );
+      extended += 1;
+      continue;
+    }
+
+    const reason = stillHeading
+      ? `No progress for ${RESERVATION_TTL_MINUTES} minutes`
+      : `Emergency is ${emergency ? emergency.status.replace(/_/g, ' ') : 'gone'}`;
+    if (await BedReservation.close({ _id: reservation._id }, 'expired', reason)) {
+      expired += 1;
+      announce(reservation.hospital, reservation.unit, 'expired');
+    }
+  }
+
+  return { expired, extended };
+};
+
+/**
+ * Start the background job that expires stale reservations
+ */
+const startReservationSweeper = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(() => {
+    expireStaleReservations()
+      .catch(err => console.error('Reservation sweeper error:', err));
+  }, RESERVATION_SWEEP_INTERVAL_SECONDS * 1000);
+};
+
+/**
+ * Set the beds of a hospital unit by hand. Either the open total or the number of free
+ * beds can be given; free beds are added to the beds currently held.
+ * @param {Object} hospital - Hospital document
+ * @param {String} unit - Unit name
+ * @param {Object} beds - {total} or {available}
+ * @returns {Promise<Object>} The unit's {total, held, available}
+ */
+const updateUnitCapacity = async (hospital, unit, { total, available }) => {
+  if (!CAPACITY_UNITS.includes(unit)) {
+    throw createError(400, `Unknown unit ${unit}, expected one of ${CAPACITY_UNITS.join(', ')}`);
+  }
+
+  if (total === undefined && available === undefined) {
+    throw createError(400, 'Total or available capacity must be provided');
+  }
+
+  if (total !== undefined && available !== undefined) {
+    throw createError(400, 'Provide either total or available capacity, not both');
+  }
+
+  const held = await countHeldBeds([hospital]);
+  hospital.capacity[unit].total = total !== undefined
+    ? total
+    : available + getUnitCapacity(hospital, unit, held).held;
+
+  await hospital.save();
+  announce(hospital._id, unit, 'updated');
+
+  return getUnitCapacity(hospital, unit, held);
+};
+
+/**
+ * Compare the ledger with the emergencies it should describe
+ * @returns {Promise<Object>} {units, leaked, overdue, unreserved}
+ */
+const getReconciliationReport = async () => {
+  const now = new Date();
+
+  const hospitals = await Hospital.find().select('name capacity status');
+  const held = await countHeldBeds(hospitals);
+
+  // Every unit with beds or holds, flagged when more beds are held than are open
+  const units = hospitals.flatMap(hospital => CAPACITY_UNITS
+    .map(unit => ({ hospital: { _id: hospital._id, name: hospital.name }, unit, ...getUnitCapacity(hospital, unit, held) }))
+    .filter(entry => entry.total > 0 || entry.held > 0)
+    .map(entry => ({ ...entry, overbooked: entry.held > entry.total })));
+
+  const active = await BedReservation.find({ status: 'active' })
+    .populate('hospital', 'name')
+    .populate('emergency', 'status hospital hospitalUnit');
+
+  const describe = (reservation) => ({
+    _id: reservation._id,
+    hospital: reservation.hospital,
+    unit: reservation.unit,
+    emergency: reservation.emergency ? reservation.emergency._id : null,
+    emergencyStatus: reservation.emergency ? reservation.emergency.status : null,
+    reservedAt: reservation.createdAt,
+    expiresAt: reservation.expiresAt
+  });
+
+  // Held for an emergency that no longer needs it (the sweeper will expire them)
+  const leaked = active.filter(({ emergency, hospital }) =>
+    !emergency ||
+    !RESERVING_STATUSES.includes(emergency.status) ||
+    !emergency.hospital || !hospital ||
+    emergency.hospital.toString() !== hospital._id.toString()
+  ).map(describe);
+
+  const overdue = active.filter(reservation => reservation.expiresAt <= now).map(describe);
+
+  // Emergencies heading to a hospital without a bed held there
+  const reservedIds = active.map(reservation => reservation.emergency && reservation.emergency._id);
+  const unreserved = await Emergency.find({
+    status: { $in: RESERVING_STATUSES },
+    hospital: { $ne: null },
+    _id: { $nin: reservedIds.filter(Boolean) }
+  })
+    .select('status hospital hospitalUnit severity emergencyType')
+    .populate('hospital', 'name');
+
+  return {
+    generatedAt: now,
+    units,
+    leaked,
+    overdue,
+    unreserved
+  };
+};
+
+module.exports = {
+  selectUnit,
+  countHeldBeds,
+  getUnitCapacity,
+  withCapacity,
+  reserveBed,
+  releaseBed,
+  consumeBed,
+  expireStaleReservations,
+  startReservationSweeper,
+  updateUnitCapacity,
+  getReconciliationReport
+};
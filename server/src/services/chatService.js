@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Emergency = require('../models/Emergency');
+const Message = require('../models/Message');
+const { MESSAGE_DELIVERY_TIMEOUT_MS, MESSAGE_PAGE_SIZE, MESSAGE_PAGE_SIZE_MAX } = require('../config/chat');
+const { createError } = require('../middlewares/errorHandler');
+const { getChatParticipants } = require('./accessService');
+const { storeAttachments, removeAttachments, signAttachments } = require('./mediaService');
+const { EVENTS, ROOMS, publish, publishWithAck } = require('./realtime');
+
+/**
+ * Load an emergency and check the user takes part in its chat
+ * @param {String} emergencyId - Emergency ID
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} {emergency, participants}
+ */
+const loadConversation = async (emergencyId, user) => {
+  const emergency = mongoose.isValidObjectId(emergencyId)
+    ? await Emergency.findById(emergencyId).select('patient requestedBy ambulance hospital status')
+    : null;
+  if (!emergency) {
+    throw createError(404, 'Emergency not found');
+  }
+
+  const participants = await getChatParticipants(emergency);
+  if (!participants.includes(user._id.toString())) {
+    throw createError(403, 'Not authorized to access messages for this emergency');
+  }
+
+  return { emergency, participants };
+};
+
+/**
+ * Move messages forward to a new status and tell their senders.
+ * Statuses only move forward: sent -> delivered -> read.
+ * @param {Array} messages - Messages {_id, emergency, sender}
+ * @param {String} status - delivered or read
+ * @returns {Promise<Date|null>} readAt when marking as read
+ */
+const advanceStatus = async (messages, status) => {
+  if (messages.length === 0) {
+    return null;
+  }
+
+  const readAt = status === 'read' ? new Date() : null;
+  const from = status === 'read' ? ['sent', 'delivered'] : ['sent'];
+
+  await Message.updateMany(
+    { _id: { $in: messages.map(message => message._id) }, status: { $in: from } },
+    status === 'read' ? { status, readAt } : { status }
+  );
+
+  const byEmergency = new Map();
+  messages.forEach(message => {
+    const key = message.emergency.toString();
+    byEmergency.set(key, [...(byEmergency.get(key) || []), message]);
+  });
+
+  byEmergency.forEach((group, emergencyId) => {
+    publish([
+      ROOMS.emergency(emergencyId),
+      ...group.map(message => ROOMS.user(message.sender._id || message.sender))
+    ], EVENTS.MESSAGE_STATUS_UPDATED, {
+      emergencyId,
+      messageIds: group.map(message => message._id),
+      status,
+      readAt
+    });
+  });
+
+  return readAt;
+};
+
+/**
+ * Push a new message to the receiver's devices and mark it delivered once one acknowledges it
+ * @param {Object} message - Message with sender and receiver populated
+ */
+const deliverMessage = async (message) => {
+  const payload = await signAttachments(message);
+  const receiverRoom = ROOMS.user(message.receiver._id);
+
+  // Followers of the emergency and the sender's other devices see it straight away
+  publish(
+    [ROOMS.emergency(message.emergency), ROOMS.user(message.sender._id)],
+    EVENTS.MESSAGE_CREATED,
+    payload,
+    [receiverRoom]
+  );
+
+  const acknowledged = await publishWithAck(receiverRoom, EVENTS.MESSAGE_CREATED, payload, MESSAGE_DELIVERY_TIMEOUT_MS);
+  if (acknowledged > 0) {
+    await advanceStatus([message], 'delivered');
+  }
+};
+
+/**
+ * Send a chat message on an emergency to another participant
+ * @param {String} emergencyId - Emergency ID
+ * @param {Object} sender - User sending the message
+ * @param {Object} data - {receiverId, text, location, files}
+ * @returns {Promise<Object>} The created message, attachments with signed URLs
+ */
+const sendMessage = async (emergencyId, sender, data) => {
+  const { emergency, participants } = await loadConversation(emergencyId, sender);
+  const { receiverId, text, location, files = [] } = data;
+
+  if (receiverId === sender._id.toString() || !participants.includes(receiverId)) {
+    throw createError(400, 'Receiver is not part of this emergency');
+  }
+
+  const attachments = await storeAttachments(emergency._id, files);
+
+  let message;
+  try {
+    message = await Message.create({
+      emergency: emergency._id,
+      sender: sender._id,
+      receiver: receiverId,
+      text,
+      attachments,
+      location
+    });
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+  await message.populate([
+    { path: 'sender', select: 'name role' },
+    { path: 'receiver', select: 'name role' }
+  ]);
+
+  deliverMessage(message)
+    .catch(err => console.error('Message delivery error:', err));
+
+  return signAttachments(message);
+};
+
+/**
+ * Page through an emergency's messages, newest first. Messages the user receives
+ * are marked delivered as they are fetched.
+ * @param {String} emergencyId - Emergency ID
+ * @param {Object} user - User reading the conversation
+ * @param {Object} options - {page, limit}
+ * @returns {Promise<Object>} {messages, total, page, limit}
+ */
+const getMessages = async (emergencyId, user, options = {}) => {
+  const { emergency } = await loadConversation(emergencyId, user);
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(MESSAGE_PAGE_SIZE_MAX, Math.max(1, parseInt(options.limit) || MESSAGE_PAGE_SIZE));
+
+  const [messages, total] = await Promise.all([
+    Message.getConversation(emergency._id, limit, (page - 1) * limit),
+    Message.countDocuments({ emergency: emergency._id })
+  ]);
+
+  const userId = user._id.toString();
+  const undelivered = messages.filter(message =>
+    message.status === 'sent' && message.receiver && message.receiver._id.toString() === userId
+  );
+  await advanceStatus(undelivered, 'delivered');
+  undelivered.forEach(message => {
+    message.status = 'delivered';
+  });
+
+  return {
+    messages: await Promise.all(messages.map(signAttachments)),
+    total,
+    page,
+    limit
+  };
+};
+
+/**
+ * Mark a single message as read by its receiver
+ * @param {String} messageId - Message ID
+ * @param {Object} user - Receiver
+ * @returns {Promise<Object>} The message
+ */
+const readMessage = async (messageId, user) => {
+  const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+  if (!message) {
+    throw createError(404, 'Message not found');
+  }
+  if (message.receiver.toString() !== user._id.toString()) {
+    throw createError(403, 'Only the receiver can mark a message as read');
+  }
+
+  if (message.status !== 'read') {
+    await message.markAsRead();
+    publish([ROOMS.emergency(message.emergency), ROOMS.user(message.sender)], EVENTS.MESSAGE_STATUS_UPDATED, {
+      emergencyId: message.emergency,
+      messageIds: [message._id],
+      status: 'read',
+      readAt: message.readAt
+    });
+  }
+
+  return message;
+};
+
+/**
+ * Mark every message the user has received on an emergency as read
+ * @param {String} emergencyId - Emergency ID
+ * @param {Object} user - Receiver
+ * @returns {Promise<Object>} {count, readAt}
+ */
+const readConversation = async (emergencyId, user) => {
+  const { emergency } = await loadConversation(emergencyId, user);
+
+  const unread = await Message.find({
+    emergency: emergency._id,
+    receiver: user._id,
+    status: { $ne: 'read' }
+  }).select('emergency sender');
+
+  const readAt = await advanceStatus(unread, 'read');
+  return { count: unread.length, readAt };
+};
+
+module.exports = {
+  sendMessage,
+  getMessages,
+  readMessage,
+  readConversation
+};
@@ -0,0 +1,190 @@
+const Emergency = require('../models/Emergency');
+const Ambulance = require('../models/Ambulance');
+const {
+  DISPATCH_SEARCH_RADIUS,
+  QUEUE_SEVERITY_PRIORITY,
+  QUEUE_AGING_PER_MINUTE
+} = require('../config/dispatch');
+const { createError } = require('../middlewares/errorHandler');
+const { haversineDistance, toLatLng } = require('../utils/geoUtils');
+const {
+  getDispatchMode,
+  getResponseLeg,
+  findBookingHolds,
+  offerAmbulance
+} = require('./dispatchService');
+const { EVENTS, ROOMS, publish } = require('./realtime');
+
+// Smallest gap kept between a moved emergency and its new neighbours
+const MIN_QUEUE_GAP = 1;
+
+/**
+ * Compute the queue priority of a pending emergency.
+ * Severity sets the starting point, waiting time ages it upwards.
+ * The queue is ordered by the exact score; priority is the score rounded for display.
+ */
+const calculatePriority = (emergency, now = new Date()) => {
+  const waitingMinutes = Math.max(0, (now - emergency.createdAt) / 60000);
+  const base = QUEUE_SEVERITY_PRIORITY[emergency.severity] || QUEUE_SEVERITY_PRIORITY.medium;
+  const adjustment = (emergency.dispatch && emergency.dispatch.priorityAdjustment) || 0;
+  const score = base + waitingMinutes * QUEUE_AGING_PER_MINUTE + adjustment;
+
+  return {
+    priority: Math.round(score),
+    score,
+    waitingMinutes: Math.floor(waitingMinutes)
+  };
+};
+
+/**
+ * Get pending emergencies ordered by priority, highest first
+ * @returns {Promise<Array>} Queue entries {emergency, position, priority, waitingMinutes}
+ */
+const getQueue = async () => {
+  const now = new Date();
+  // Emergencies already waiting on a driver's answer are not queued
+  const emergencies = await Emergency.find({
+    status: 'pending',
+    'dispatch.offer.status': { $ne: 'pending' }
+  })
+    .populate('patient', 'name phone');
+
+  return emergencies
+    .map(emergency => ({ emergency, ...calculatePriority(emergency, now) }))
+    .sort((a, b) => b.score - a.score || a.emergency.createdAt - b.emergency.createdAt)
+    .map((entry, index) => ({ ...entry, position: index + 1 }));
+};
+
+/**
+ * Move a queued emergency to a new position.
+ * Stored as whole-number priority adjustments: every entry ages at the same rate,
+ * so the new order holds until severity or a later reorder changes it. When the new
+ * neighbours are too close to fit between, the entries above are raised to make room.
+ * @param {String} emergencyId - Emergency to move
+ * @param {Number} position - New 1-based position in the queue
+ * @returns {Promise<Array>} The reordered queue
+ */
+const moveInQueue = async (emergencyId, position) => {
+  const queue = await getQueue();
+  const index = queue.findIndex(entry => entry.emergency._id.toString() === emergencyId.toString());
+
+  if (index === -1) {
+    throw createError(409, 'Emergency is not in the dispatch queue (it may be waiting on an offer)');
+  }
+
+  const [target] = queue.splice(index, 1);
+  const targetIndex = Math.min(Math.max(position - 1, 0), queue.length);
+  const above = queue[targetIndex - 1];
+  const below = queue[targetIndex];
+
+  // Make room: the entry must sit at least MIN_QUEUE_GAP away from both neighbours
+  let raise = 0;
+  if (above && below) {
+    const gap = above.score - below.score;
+    raise = Math.max(0, Math.ceil(2 * MIN_QUEUE_GAP - gap));
+  }
+
+  if (raise > 0) {
+    const ids = queue.slice(0, targetIndex).map(entry => entry.emergency._id);
+    await Emergency.updateMany({ _id: { $in: ids } }, { $inc: { 'dispatch.priorityAdjustment': raise } });
+  }
+
+  // Aim for the midpoint between the new neighbours; rounding moves it by at most half
+  // a point, so it stays strictly between them
+  let desired;
+  if (above && below) {
+    desired = (above.score + raise + below.score) / 2;
+  } else if (above) {
+    desired = above.score - MIN_QUEUE_GAP;
+  } else if (below) {
+    desired = below.score + MIN_QUEUE_GAP;
+  } else {
+    desired = target.score;
+  }
+
+  await Emergency.updateOne(
+    { _id: target.emergency._id },
+    { $inc: { 'dispatch.priorityAdjustment': Math.round(desired - target.score) } }
+  );
+
+  return getQueue();
+};
+
+/**
+ * Offer the highest priority queued emergency to an ambulance that just became available.
+ * Only emergencies within the dispatch search radius of the ambulance are considered, and an
+ * ambulance held for a booking is only offered that booking's trip.
+ * @param {String} ambulanceId - Ambulance that is now available
+ * @returns {Promise<Object|null>} The emergency it was offered, or null
+ */
+const offerNextQueued = async (ambulanceId) => {
+  const ambulance = await Ambulance.findById(ambulanceId);
+  if (!ambulance || ambulance.status !== 'available' || ambulance.pendingOffer || !ambulance.driver) {
+    return null;
+  }
+
+  // A position that is no longer being reported cannot be trusted for dispatch
+  if (ambulance.hasStaleLocation()) {
+    return null;
+  }
+
+  const bookings = (await findBookingHolds())
+    .filter(booking => booking.ambulance.equals(ambulance._id))
+    .map(booking => booking._id);
+
+  const origin = toLatLng(ambulance.currentLocation);
+  const queue = await getQueue();
+  const entry = queue.find(({ emergency }) =>
+    (bookings.length === 0 || bookings.some(id => id.equals(emergency.booking))) &&
+    !(emergency.dispatch.excludedAmbulances || []).some(id => id.equals(ambulance._id)) &&
+    haversineDistance(origin, emergency.location.pickup.coordinates) <= DISPATCH_SEARCH_RADIUS
+  );
+
+  if (!entry) {
+    return null;
+  }
+
+  const { emergency, position, priority, waitingMinutes } = entry;
+  const queueNote = `queue position ${position}, priority ${priority}, waited ${waitingMinutes} mins`;
+  const mode = await getDispatchMode();
+
+  // Outside auto mode a dispatcher still has to confirm the assignment
+  if (mode !== 'auto') {
+    if (mode === 'suggest') {
+      emergency.timeline.push({
+        status: 'dispatch_suggested',
+        time: new Date(),
+        notes: `Suggested: ${ambulance.registrationNumber} is now available (${queueNote})`
+      });
+      await emergency.save();
+    }
+
+    publish([ROOMS.admins, ROOMS.user(ambulance.driver)], EVENTS.QUEUED_EMERGENCY_AVAILABLE, {
+      emergencyId: emergency._id,
+      ambulanceId: ambulance._id,
+      position,
+      priority
+    });
+    return emergency;
+  }
+
+  const leg = await getResponseLeg(ambulance, emergency.location.pickup.coordinates);
+  const route = leg.source === 'route'
+    ? { distance: leg.distance, duration: leg.duration, polyline: leg.polyline }
+    : null;
+
+  const offered = await offerAmbulance(emergency, ambulance._id, {
+    route,
+    notes: `Auto-dispatched from queue (${queueNote}). ${ambulance.registrationNumber} is ` +
+      `${leg.distance.text} / ${leg.duration.text} away`
+  });
+
+  return offered ? emergency : null;
+};
+
+module.exports = {
+  calculatePriority,
+  getQueue,
+  moveInQueue,
+  offerNextQueued
+};
@@ -0,0 +1,661 @@
+const Ambulance = require('../models/Ambulance');
+const Booking = require('../models/Booking');
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const Incident = require('../models/Incident');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const {
+  DISPATCH_MODES,
+  DEFAULT_DISPATCH_MODE,
+  DISPATCH_SEARCH_RADIUS,
+  DISPATCH_CANDIDATE_LIMIT,
+  MAX_RESPONSE_SECONDS,
+  OFFER_TIMEOUT_SECONDS,
+  EMERGENCY_REQUIREMENTS,
+  SEVERITY_WEIGHTS
+} = require('../config/dispatch');
+const { BOOKING_DISPATCH_HOLD_MINUTES } = require('../config/booking');
+const { toLatLng } = require('../utils/geoUtils');
+const { sendEmergencyConfirmation, notifyDriver } = require('../utils/twilioUtils');
+const { createError } = require('../middlewares/errorHandler');
+const { selectUnit, reserveBed } = require('./capacityService');
+const { estimateTravel, buildETA } = require('./etaService');
+const { TRANSITIONS, checkTransition } = require('./emergencyStatus/transitions');
+const { EVENTS, ROOMS, publish, publishToEmergency, publishToIncident } = require('./realtime');
+
+const DISPATCH_MODE_KEY = 'dispatchMode';
+
+// Offer timeouts keyed by emergency id
+const offerTimers = new Map();
+
+/**
+ * Get the active dispatch mode, falling back to the deployment default
+ * @returns {Promise<String>} One of auto, suggest or manual
+ */
+const getDispatchMode = async () => {
+  try {
+    const mode = await Setting.getValue(DISPATCH_MODE_KEY, DEFAULT_DISPATCH_MODE);
+    return DISPATCH_MODES.includes(mode) ? mode : DEFAULT_DISPATCH_MODE;
+  } catch (error) {
+    console.error('Error reading dispatch mode:', error);
+    return DEFAULT_DISPATCH_MODE;
+  }
+};
+
+/**
+ * Change the dispatch mode for this deployment
+ * @param {String} mode - One of auto, suggest or manual
+ * @param {String} userId - Admin making the change
+ * @returns {Promise<String>} The stored mode
+ */
+const setDispatchMode = async (mode, userId) => {
+  if (!DISPATCH_MODES.includes(mode)) {
+    throw new Error(`Dispatch mode must be one of: ${DISPATCH_MODES.join(', ')}`);
+  }
+
+  const setting = await Setting.setValue(DISPATCH_MODE_KEY, mode, userId);
+  return setting.value;
+};
+
+/**
+ * Get the travel distance and time from an ambulance to the pickup point.
+ * Falls back to a straight-line estimate when the routing service is unavailable.
+ */
+const getResponseLeg = async (ambulance, pickup) =>
+  estimateTravel(toLatLng(ambulance.currentLocation), pickup);
+
+/**
+ * Score how well an ambulance's type and equipment match an emergency
+ * @returns {Object} capability score between 0 and 1 and the matched features
+ */
+const scoreCapability = (ambulance, emergencyType) => {
+  const requirements = EMERGENCY_REQUIREMENTS[emergencyType] || EMERGENCY_REQUIREMENTS.other;
+
+  // Best type scores 1, each step down the preference list loses a little
+  const typeRank = requirements.types.indexOf(ambulance.type);
+  const typeScore = typeRank === -1 ? 0 : 1 - typeRank * 0.25;
+
+  const features = ambulance.features || [];
+  const matchedFeatures = requirements.features.filter(feature => features.includes(feature));
+  const featureScore = requirements.features.length > 0
+    ? matchedFeatures.length / requirements.features.length
+    : 1;
+
+  return {
+    score: typeScore * 0.5 + featureScore * 0.5,
+    typeMatched: typeRank !== -1,
+    matchedFeatures
+  };
+};
+
+/**
+ * Build the human readable explanation stored in the timeline
+ */
+const describeCandidate = (candidate, emergency) => {
+  const { ambulance, leg, capability, score } = candidate;
+  const equipment = capability.matchedFeatures.length > 0
+    ? `has ${capability.matchedFeatures.join(', ')}`
+    : 'no matching equipment';
+  const typeNote = capability.typeMatched ? `${ambulance.type} unit` : `${ambulance.type} unit (not preferred type)`;
+
+  return `${ambulance.registrationNumber} selected for ${emergency.severity} ${emergency.emergencyType} emergency: ` +
+    `${leg.distance.text} / ${leg.duration.text} away${leg.source === 'estimate' ? ' (estimated)' : ''}, ` +
+    `${typeNote}, ${equipment}. Score ${score}/100`;
+};
+
+/**
+ * Bookings keeping their ambulance from other work right now: the pickup window opens
+ * within the hold time, or the booked trip is still under way. A dispatcher picking an
+ * ambulance by hand can still override a hold.
+ * @returns {Promise<Array>} Bookings {_id, ambulance, emergency}
+ */
+const findBookingHolds = async () => {
+  const now = new Date();
+  const bookings = await Booking.findOverlapping(
+    now,
+    new Date(now.getTime() + BOOKING_DISPATCH_HOLD_MINUTES * 60000)
+  );
+
+  // A converted booking whose trip is over has nothing left to keep the ambulance for
+  const finished = await Emergency.find({
+    _id: { $in: bookings.map(booking => booking.emergency).filter(Boolean) },
+    status: { $in: ['completed', 'cancelled'] }
+  }).distinct('_id');
+
+  return bookings.filter(booking =>
+    !booking.emergency || !finished.some(id => id.equals(booking.emergency)));
+};
+
+/**
+ * Rank available ambulances for an emergency by distance, severity and capability
+ * @param {Object} emergency - Emergency document
+ * @param {Object} options - {limit, exclude: ambulance ids to skip}
+ * @returns {Promise<Array>} Candidates sorted best first
+ */
+const rankAmbulances = async (emergency, options = {}) => {
+  const { limit = DISPATCH_CANDIDATE_LIMIT, exclude = [] } = options;
+  const pickup = emergency.location.pickup.coordinates;
+
+  // Ambulances held for a booking are skipped, unless this is the booked trip itself
+  const holds = await findBookingHolds();
+  const excluded = [
+    ...exclude,
+    ...holds
+      .filter(booking => !emergency.booking || !booking._id.equals(emergency.booking))
+      .map(booking => booking.ambulance)
+  ].map(id => id.toString());
+
+  const ambulances = await Ambulance.findNearestAvailable(
+    pickup,
+    DISPATCH_SEARCH_RADIUS,
+    limit + excluded.length
+  );
+
+  const weights = SEVERITY_WEIGHTS[emergency.severity] || SEVERITY_WEIGHTS.medium;
+
+  const candidates = await Promise.all(
+    ambulances
+      .filter(ambulance => ambulance.driver && !excluded.includes(ambulance._id.toString()))
+      .map(async (ambulance) => {
+        const leg = await getResponseLeg(ambulance, pickup);
+        const proximity = Math.max(0, 1 - leg.duration.value / MAX_RESPONSE_SECONDS);
+        const capability = scoreCapability(ambulance, emergency.emergencyType);
+
+        const candidate = {
+          ambulance,
+          leg,
+          capability,
+          score: Math.round((weights.proximity * proximity + weights.capability * capability.score) * 100)
+        };
+        candidate.reason = describeCandidate(candidate, emergency);
+
+        return candidate;
+      })
+  );
+
+  return candidates
+    .sort((a, b) => b.score - a.score || a.leg.duration.value - b.leg.duration.value)
+    .slice(0, limit);
+};
+
+/**
+ * Assign an ambulance whose driver accepted the offer and notify everyone involved.
+ * The ambulance is claimed atomically so it only becomes busy for the emergency it accepted.
+ * @param {Object} emergency - Emergency document
+ * @param {String} ambulanceId - Ambulance to assign
+ * @param {Object} options - {hospital, route, notes}
+ * @returns {Promise<Object|null>} The claimed ambulance, or null if it was no longer available
+ */
+const assignAmbulance = async (emergency, ambulanceId, options = {}) => {
+  const { hospital = null, route = null, notes } = options;
+
+  // Checked before the ambulance is claimed, so a cancelled emergency never ties one up
+  const failure = checkTransition(emergency, 'assigned');
+  if (failure) {
+    throw createError(409, failure);
+  }
+
+  const ambulance = await Ambulance.findOneAndUpdate(
+    { _id: ambulanceId, status: 'available', pendingOffer: emergency._id },
+    { status: 'busy', activeEmergency: emergency._id, pendingOffer: null },
+    { new: true }
+  ).populate('driver', 'name phone');
+
+  if (!ambulance) {
+    return null;
+  }
+
+  // Update emergency. A bed is held with the ambulance (a casualty allocated to the same
+  // hospital keeps its bed); when the unit has filled up since the offer, the hospital
+  // is left for a dispatcher to choose again.
+  emergency.ambulance = ambulance._id;
+  if (hospital) {
+    const unit = selectUnit(emergency);
+    if (await reserveBed(emergency, hospital._id, unit)) {
+      emergency.hospital = hospital._id;
+      emergency.hospitalUnit = unit;
+    } else {
+      console.warn(`No ${unit} bed left at ${hospital.name} for emergency ${emergency._id}`);
+    }
+  }
+  if (route && route.duration && route.duration.value !== undefined) {
+    emergency.route = route;
+  }
+
+  // First ETA comes from the response route, later ones from location updates
+  const travel = emergency.route && emergency.route.duration && emergency.route.duration.value !== undefined
+    ? emergency.route
+    : await getResponseLeg(ambulance, emergency.location.pickup.coordinates);
+  emergency.eta = buildETA('to_patient', travel);
+
+  await emergency.updateStatus('assigned', TRANSITIONS.assigned.timeline, notes);
+
+  // Notify patient via SMS
+  const patient = await User.findById(emergency.patient);
+  if (patient) {
+    sendEmergencyConfirmation(patient.phone, {
+      registrationNumber: ambulance.registrationNumber,
+      eta: emergency.eta.duration.text
+    }).catch(err => console.error('SMS notification error:', err));
+  }
+
+  // Tell the driver and everyone following the emergency
+  publishToEmergency(emergency, EVENTS.AMBULANCE_ASSIGNED, {
+    emergencyId: emergency._id,
+    ambulanceId: ambulance._id,
+    hospitalId: emergency.hospital || null,
+    eta: emergency.eta
+  }, [ambulance.driver && ROOMS.user(ambulance.driver._id)]);
+
+  // Keep the incident timeline in step with its casualties
+  if (emergency.incident) {
+    const incident = await Incident.recordEvent(
+      emergency.incident,
+      'ambulance_assigned',
+      `${ambulance.registrationNumber} assigned to ${emergency.casualtyLabel || 'casualty'}`,
+      emergency._id
+    );
+    if (incident) {
+      publishToIncident(incident._id, EVENTS.INCIDENT_UPDATED, {
+        incidentId: incident._id,
+        event: 'ambulance_assigned',
+        emergencyId: emergency._id,
+        ambulanceId: ambulance._id,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  return ambulance;
+};
+
+const clearOfferTimer = (emergencyId) => {
+  const key = emergencyId.toString();
+  if (offerTimers.has(key)) {
+    clearTimeout(offerTimers.get(key));
+    offerTimers.delete(key);
+  }
+};
+
+const scheduleOfferTimeout = (emergencyId, ambulanceId, expiresAt) => {
+  clearOfferTimer(emergencyId);
+
+  const delay = Math.max(0, new Date(expiresAt).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    offerTimers.delete(emergencyId.toString());
+    handleOfferTimeout(emergencyId, ambulanceId)
+      .catch(err => console.error('Offer timeout error:', err));
+  }, delay);
+
+  offerTimers.set(emergencyId.toString(), timer);
+};
+
+/**
+ * Offer an emergency to an ambulance. The ambulance is reserved for this offer
+ * but stays available until its driver accepts.
+ * @param {Object} emergency - Emergency document
+ * @param {String} ambulanceId - Ambulance to offer the emergency to
+ * @param {Object} options - {hospital, route, notes}
+ * @returns {Promise<Object|null>} The offered ambulance, or null if it was no longer available
+ */
+const offerAmbulance = async (emergency, ambulanceId, options = {}) => {
+  const { hospital = null, route = null, notes = '' } = options;
+
+  // A new offer replaces any offer still waiting for an answer
+  if (emergency.dispatch.offer && emergency.dispatch.offer.status === 'pending') {
+    await withdrawOffer(emergency, 'Replaced by a new offer');
+  }
+
+  const ambulance = await Ambulance.findOneAndUpdate(
+    { _id: ambulanceId, status: 'available', pendingOffer: null },
+    { pendingOffer: emergency._id },
+    { new: true }
+  ).populate('driver', 'name phone');
+
+  if (!ambulance) {
+    return null;
+  }
+
+  const offeredAt = new Date();
+  const expiresAt = new Date(offeredAt.getTime() + OFFER_TIMEOUT_SECONDS * 1000);
+
+  emergency.dispatch.offer = {
+    ambulance: ambulance._id,
+    hospital: hospital ? hospital._id : null,
+    route: route || undefined,
+    notes,
+    status: 'pending',
+    offeredAt,
+    expiresAt
+  };
+
+  emergency.timeline.push({
+    status: 'ambulance_offered',
+    time: offeredAt,
+    notes: `${notes ? `${notes}. ` : ''}Offered to ${ambulance.registrationNumber}, ` +
+      `waiting ${OFFER_TIMEOUT_SECONDS}s for the driver to respond`
+  });
+
+  await emergency.save();
+
+  // Notify driver via SMS
+  if (ambulance.driver) {
+    notifyDriver(ambulance.driver.phone, {
+      severity: emergency.severity,
+      address: emergency.location.pickup.address
+    }).catch(err => console.error('Driver SMS notification error:', err));
+  }
+
+  // Offers go to the driver and dispatchers, not to the patient
+  publish([
+    ambulance.driver && ROOMS.user(ambulance.driver._id),
+    ROOMS.admins,
+    ROOMS.emergency(emergency._id)
+  ], EVENTS.AMBULANCE_OFFERED, {
+    emergencyId: emergency._id,
+    ambulanceId: ambulance._id,
+    severity: emergency.severity,
+    emergencyType: emergency.emergencyType,
+    location: emergency.location.pickup,
+    expiresAt
+  });
+
+  scheduleOfferTimeout(emergency._id, ambulance._id, expiresAt);
+
+  return ambulance;
+};
+
+/**
+ * Offer the emergency to the best ranked ambulance that has not already turned it down
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Object|null>} The offered ambulance, or null if none is left
+ */
+const offerToNextBest = async (emergency) => {
+  const previous = emergency.dispatch.offer || {};
+  const hospital = previous.hospital ? await Hospital.findById(previous.hospital) : null;
+
+  const candidates = await rankAmbulances(emergency, {
+    exclude: emergency.dispatch.excludedAmbulances || []
+  });
+
+  for (const candidate of candidates) {
+    const { leg } = candidate;
+    const route = leg.source === 'route'
+      ? { distance: leg.distance, duration: leg.duration, polyline: leg.polyline }
+      : null;
+
+    const ambulance = await offerAmbulance(emergency, candidate.ambulance._id, {
+      hospital,
+      route,
+      notes: `Re-offered. ${candidate.reason}`
+    });
+
+    if (ambulance) {
+      return ambulance;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load an emergency with a pending offer and check the user is the offered driver
+ */
+const getOfferForDriver = async (emergencyId, userId) => {
+  const emergency = await Emergency.findById(emergencyId);
+  if (!emergency) {
+    throw createError(404, 'Emergency not found');
+  }
+
+  const offer = emergency.dispatch.offer;
+  if (!offer || offer.status !== 'pending') {
+    throw createError(400, 'There is no pending offer for this emergency');
+  }
+
+  const ambulance = await Ambulance.findById(offer.ambulance).populate('driver', 'name phone');
+  if (!ambulance || !ambulance.driver || ambulance.driver._id.toString() !== userId.toString()) {
+    throw createError(403, 'This emergency was not offered to your ambulance');
+  }
+
+  return { emergency, offer, ambulance };
+};
+
+/**
+ * Close a pending offer without assignment and release the ambulance
+ */
+const closeOffer = async (emergency, status, notes) => {
+  const offer = emergency.dispatch.offer;
+  clearOfferTimer(emergency._id);
+
+  offer.status = status;
+  offer.respondedAt = new Date();
+
+  await Ambulance.updateOne(
+    { _id: offer.ambulance, pendingOffer: emergency._id },
+    { pendingOffer: null }
+  );
+
+  const timelineStatus = {
+    declined: 'offer_declined',
+    timed_out: 'offer_timed_out',
+    withdrawn: 'offer_withdrawn'
+  };
+
+  emergency.timeline.push({
+    status: timelineStatus[status],
+    time: offer.respondedAt,
+    notes
+  });
+
+  if (status !== 'withdrawn') {
+    emergency.dispatch.excludedAmbulances.push(offer.ambulance);
+  }
+
+  await emergency.save();
+};
+
+/**
+ * Accept a pending offer: the ambulance becomes busy and the emergency assigned
+ * @param {String} emergencyId - Emergency offered
+ * @param {String} userId - Driver accepting
+ * @returns {Promise<Object>} {emergency, ambulance, hospital}
+ */
+const acceptOffer = async (emergencyId, userId) => {
+  const { emergency, offer, ambulance } = await getOfferForDriver(emergencyId, userId);
+
+  if (offer.expiresAt < new Date()) {
+    await handleOfferTimeout(emergency._id, ambulance._id);
+    throw createError(410, 'This offer has expired');
+  }
+
+  const hospital = offer.hospital ? await Hospital.findById(offer.hospital) : null;
+  offer.status = 'accepted';
+  offer.respondedAt = new Date();
+
+  // The offer is only closed once the assignment went through; otherwise it is
+  // withdrawn so neither the emergency nor the ambulance stays tied to it
+  const abandon = async (reason) => {
+    offer.status = 'pending';
+    offer.respondedAt = undefined;
+    // Give the ambulance back if it was claimed before the assignment failed
+    await Ambulance.updateOne(
+      { _id: ambulance._id, status: 'busy', activeEmergency: emergency._id },
+      { status: 'available', activeEmergency: null }
+    );
+    await closeOffer(emergency, 'withdrawn', `${ambulance.registrationNumber} could not be assigned: ${reason}`);
+  };
+
+  let assigned;
+  try {
+    assigned = await assignAmbulance(emergency, ambulance._id, {
+      hospital,
+      route: offer.route,
+      notes: `${ambulance.registrationNumber} accepted by ${ambulance.driver.name}` +
+        `${offer.notes ? `. ${offer.notes}` : ''}`
+    });
+  } catch (error) {
+    if (emergency.status !== 'assigned') {
+      await abandon(error.message);
+    }
+    throw error;
+  }
+
+  if (!assigned) {
+    await abandon('no longer available');
+    offerToNextBest(emergency)
+      .catch(err => console.error('Error passing on offer:', err));
+    throw createError(409, 'Ambulance is no longer available for this emergency');
+  }
+
+  clearOfferTimer(emergency._id);
+
+  return { emergency, ambulance: assigned, hospital };
+};
+
+/**
+ * Decline a pending offer and pass the emergency on to the next best ambulance
+ * @param {String} emergencyId - Emergency offered
+ * @param {String} userId - Driver declining
+ * @param {String} reason - Optional reason given by the driver
+ * @returns {Promise<Object>} {emergency, nextAmbulance}
+ */
+const declineOffer = async (emergencyId, userId, reason) => {
+  const { emergency, ambulance } = await getOfferForDriver(emergencyId, userId);
+
+  await closeOffer(
+    emergency,
+    'declined',
+    `${ambulance.registrationNumber} declined by ${ambulance.driver.name}${reason ? `: ${reason}` : ''}`
+  );
+
+  const nextAmbulance = await offerToNextBest(emergency);
+  return { emergency, nextAmbulance };
+};
+
+/**
+ * Time out an unanswered offer and pass the emergency on to the next best ambulance
+ */
+const handleOfferTimeout = async (emergencyId, ambulanceId) => {
+  const emergency = await Emergency.findById(emergencyId);
+  const offer = emergency && emergency.dispatch.offer;
+
+  if (!offer || offer.status !== 'pending' || offer.ambulance.toString() !== ambulanceId.toString()) {
+    return null;
+  }
+
+  const ambulance = await Ambulance.findById(ambulanceId).select('registrationNumber');
+  await closeOffer(
+    emergency,
+    'timed_out',
+    `${ambulance ? ambulance.registrationNumber : 'Ambulance'} did not respond within ${OFFER_TIMEOUT_SECONDS}s`
+  );
+
+  return offerToNextBest(emergency);
+};
+
+/**
+ * Withdraw a pending offer, e.g. when the emergency is cancelled
+ * @param {Object} emergency - Emergency document
+ * @param {String} reason - Reason recorded in the timeline
+ */
+const withdrawOffer = async (emergency, reason) => {
+  const offer = emergency.dispatch.offer;
+  if (!offer || offer.status !== 'pending') {
+    return;
+  }
+
+  await closeOffer(emergency, 'withdrawn', reason);
+};
+
+/**
+ * Re-arm timeouts for offers that were pending when the server stopped
+ */
+const resumePendingOffers = async () => {
+  const emergencies = await Emergency.find({ 'dispatch.offer.status': 'pending' })
+    .select('dispatch.offer');
+
+  emergencies.forEach(emergency => {
+    const { ambulance, expiresAt } = emergency.dispatch.offer;
+    scheduleOfferTimeout(emergency._id, ambulance, expiresAt);
+  });
+
+  return emergencies.length;
+};
+
+/**
+ * Run the configured dispatch mode for a newly created emergency
+ * @param {Object} emergency - Emergency document
+ * @returns {Promise<Object>} {mode, ambulance, candidates} where ambulance is the unit offered
+ */
+const dispatchEmergency = async (emergency) => {
+  const mode = await getDispatchMode();
+  emergency.dispatch = { mode };
+
+  if (mode === 'manual') {
+    await emergency.save();
+    return { mode, ambulance: null, candidates: [] };
+  }
+
+  const candidates = await rankAmbulances(emergency);
+  emergency.dispatch.suggestions = candidates.map(candidate => ({
+    ambulance: candidate.ambulance._id,
+    score: candidate.score,
+    distance: candidate.leg.distance.value,
+    duration: candidate.leg.duration.value,
+    reason: candidate.reason
+  }));
+  emergency.dispatch.decidedAt = new Date();
+
+  if (candidates.length === 0) {
+    await emergency.save();
+    return { mode, ambulance: null, candidates };
+  }
+
+  if (mode === 'suggest') {
+    emergency.timeline.push({
+      status: 'dispatch_suggested',
+      time: new Date(),
+      notes: `Suggested: ${candidates[0].reason}`
+    });
+    await emergency.save();
+    return { mode, ambulance: null, candidates };
+  }
+
+  // Auto mode: offer the best candidate still available
+  for (const candidate of candidates) {
+    const { leg } = candidate;
+    const route = leg.source === 'route'
+      ? { distance: leg.distance, duration: leg.duration, polyline: leg.polyline }
+      : null;
+
+    emergency.dispatch.selectedReason = candidate.reason;
+
+    const ambulance = await offerAmbulance(emergency, candidate.ambulance._id, {
+      route,
+      notes: `Auto-dispatched. ${candidate.reason}`
+    });
+
+    if (ambulance) {
+      return { mode, ambulance, candidates };
+    }
+  }
+
+  emergency.dispatch.selectedReason = undefined;
+  await emergency.save();
+  return { mode, ambulance: null, candidates };
+};
+
+module.exports = {
+  getDispatchMode,
+  setDispatchMode,
+  getResponseLeg,
+  findBookingHolds,
+  rankAmbulances,
+  offerAmbulance,
+  acceptOffer,
+  declineOffer,
+  withdrawOffer,
+  resumePendingOffers,
+  dispatchEmergency
+};
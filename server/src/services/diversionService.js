@@ -0,0 +1,226 @@
+const Hospital = require('../models/Hospital');
+const {
+  MAX_DIVERSION_HOURS,
+  DIVERSION_CHECK_INTERVAL_SECONDS
+} = require('../config/diversion');
+const { createError } = require('../middlewares/errorHandler');
+const { EVENTS, ROOMS, publish } = require('./realtime');
+
+let checkTimer = null;
+
+/**
+ * Where a diversion stands at a given time
+ * @param {Object} diversion - Diversion subdocument
+ * @param {Date} now - Time to check at
+ * @returns {String} scheduled, active, ended or cancelled
+ */
+const getDiversionStatus = (diversion, now = new Date()) => {
+  if (diversion.cancelledAt) {
+    return 'cancelled';
+  }
+  if (diversion.endsAt <= now) {
+    return 'ended';
+  }
+  return diversion.startsAt <= now ? 'active' : 'scheduled';
+};
+
+/**
+ * A diversion as sent to clients
+ * @param {Object} diversion - Diversion subdocument
+ * @param {Date} now - Time to check at
+ * @returns {Object} {_id, specialties, startsAt, endsAt, reason, declaredBy, cancelledAt, status}
+ */
+const describeDiversion = (diversion, now = new Date()) => ({
+  _id: diversion._id,
+  specialties: diversion.specialties,
+  startsAt: diversion.startsAt,
+  endsAt: diversion.endsAt,
+  reason: diversion.reason,
+  declaredBy: diversion.declaredBy,
+  cancelledAt: diversion.cancelledAt,
+  status: getDiversionStatus(diversion, now)
+});
+
+/**
+ * Tell dispatchers and the hospital's staff that a diversion started or ended
+ * @param {Object} hospital - Hospital {_id, name}
+ * @param {Object} diversion - Diversion subdocument
+ * @param {String} event - HOSPITAL_DIVERSION_STARTED or HOSPITAL_DIVERSION_ENDED
+ */
+const announce = (hospital, diversion, event) => {
+  const payload = {
+    hospitalId: hospital._id,
+    name: hospital.name,
+    diversion: {
+      _id: diversion._id,
+      specialties: diversion.specialties,
+      startsAt: diversion.startsAt,
+      endsAt: diversion.endsAt,
+      reason: diversion.reason
+    },
+    timestamp: new Date()
+  };
+
+  if (event === EVENTS.HOSPITAL_DIVERSION_ENDED) {
+    payload.cancelled = !!diversion.cancelledAt;
+  }
+
+  publish([ROOMS.admins, ROOMS.hospital(hospital._id)], event, payload);
+};
+
+/**
+ * Mark a diversion's start or end as announced. Only the caller that sets the flag
+ * announces it, so a restart or a second server never repeats a notification.
+ * @returns {Promise<Boolean>} Whether this call claimed it
+ */
+const claimNotification = async (hospitalId, diversionId, field, now) => {
+  const result = await Hospital.updateOne(
+    { _id: hospitalId, diversions: { $elemMatch: { _id: diversionId, [field]: null } } },
+    { $set: { [`diversions.$.${field}`]: now } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Announce diversions that started or ended since the last check. A diversion whose
+ * start was never announced (e.g. cancelled beforehand) is not announced as ending either.
+ * @returns {Promise<Object>} {started, ended}
+ */
+const checkDiversions = async () => {
+  const now = new Date();
+  let started = 0;
+  let ended = 0;
+
+  const starting = await Hospital.find({
+    diversions: {
+      $elemMatch: { startsAt: { $lte: now }, endsAt: { $gt: now }, cancelledAt: null, startNotifiedAt: null }
+    }
+  }).select('name diversions');
+
+  for (const hospital of starting) {
+    const due = hospital.diversions.filter(diversion =>
+      !diversion.startNotifiedAt && getDiversionStatus(diversion, now) === 'active');
+
+    for (const diversion of due) {
+      if (await claimNotification(hospital._id, diversion._id, 'startNotifiedAt', now)) {
+        announce(hospital, diversion, EVENTS.HOSPITAL_DIVERSION_STARTED);
+        started += 1;
+      }
+    }
+  }
+
+  const ending = await Hospital.find({
+    diversions: {
+      $elemMatch: {
+        startNotifiedAt: { $ne: null },
+        endNotifiedAt: null,
+        $or: [{ endsAt: { $lte: now } }, { cancelledAt: { $ne: null } }]
+      }
+    }
+  }).select('name diversions');
+
+  for (const hospital of ending) {
+    const due = hospital.diversions.filter(diversion =>
+      diversion.startNotifiedAt && !diversion.endNotifiedAt &&
+      ['ended', 'cancelled'].includes(getDiversionStatus(diversion, now)));
+
+    for (const diversion of due) {
+      if (await claimNotification(hospital._id, diversion._id, 'endNotifiedAt', now)) {
+        announce(hospital, diversion, EVENTS.HOSPITAL_DIVERSION_ENDED);
+        ended += 1;
+      }
+    }
+  }
+
+  return { started, ended };
+};
+
+const checkSoon = () => {
+  checkDiversions()
+    .catch(err => console.error('Diversion check error:', err));
+};
+
+/**
+ * Declare that a hospital is on divert for a period
+ * @param {Object} hospital - Hospital document
+ * @param {Object} user - User declaring it
+ * @param {Object} details - {specialties, startsAt, endsAt, reason}; no specialties
+ *                           means a full divert and no start means now
+ * @returns {Promise<Object>} The diversion
+ */
+const declareDiversion = async (hospital, user, { specialties = [], startsAt, endsAt, reason }) => {
+  const now = new Date();
+  const start = startsAt ? new Date(startsAt) : now;
+  const end = new Date(endsAt);
+
+  if (end <= start) {
+    throw createError(400, 'Diversion must end after it starts');
+  }
+
+  if (end <= now) {
+    throw createError(400, 'Diversion end must be in the future');
+  }
+
+  if (end - start > MAX_DIVERSION_HOURS * 60 * 60 * 1000) {
+    throw createError(400, `Diversion cannot last longer than ${MAX_DIVERSION_HOURS} hours`);
+  }
+
+  hospital.diversions.push({
+    specialties: [...new Set(specialties)],
+    startsAt: start,
+    endsAt: end,
+    reason,
+    declaredBy: user._id
+  });
+  await hospital.save();
+
+  // Announce straight away when it starts now
+  checkSoon();
+
+  return hospital.diversions[hospital.diversions.length - 1];
+};
+
+/**
+ * End a diversion early, or call off one that has not started
+ * @param {Object} hospital - Hospital document
+ * @param {String} diversionId - Diversion ID
+ * @returns {Promise<Object>} The diversion
+ */
+const cancelDiversion = async (hospital, diversionId) => {
+  const diversion = hospital.diversions.id(diversionId);
+  if (!diversion) {
+    throw createError(404, 'Diversion not found');
+  }
+
+  const status = getDiversionStatus(diversion);
+  if (status === 'ended' || status === 'cancelled') {
+    throw createError(400, `Diversion has already ${status === 'ended' ? 'ended' : 'been cancelled'}`);
+  }
+
+  diversion.cancelledAt = new Date();
+  await hospital.save();
+
+  checkSoon();
+
+  return diversion;
+};
+
+/**
+ * Start the background job that announces diversions starting and ending
+ */
+const startDiversionScheduler = () => {
+  if (checkTimer) {
+    return;
+  }
+
+  checkTimer = setInterval(checkSoon, DIVERSION_CHECK_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+  getDiversionStatus,
+  describeDiversion,
+  declareDiversion,
+  cancelDiversion,
+  checkDiversions,
+  startDiversionScheduler
+};
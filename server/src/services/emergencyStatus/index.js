@@ -0,0 +1,216 @@
+const Ambulance = require('../../models/Ambulance');
+const { createError } = require('../../middlewares/errorHandler');
+const { toLatLng } = require('../../utils/geoUtils');
+const { isAssignedDriver } = require('../accessService');
+const { withdrawOffer } = require('../dispatchService');
+const { releaseBed, consumeBed } = require('../capacityService');
+const { offerNextQueued } = require('../dispatchQueueService');
+const { isDrivingStatus, refreshEmergencyETA } = require('../etaService');
+const { recordIncidentEvent } = require('../incidentService');
+const { recordTripMileage } = require('../tripService');
+const { sendPreArrivalAlert } = require('../preArrivalService');
+const { EVENTS, publishToEmergency } = require('../realtime');
+const { TRANSITIONS, checkTransition } = require('./transitions');
+
+/**
+ * Emergency status changes. Routes, socket handlers and background jobs change an
+ * emergency's status only through transitionEmergency; the transitions themselves
+ * are declared in ./transitions.js.
+ */
+
+// Accept populated documents as well as plain ids
+const idOf = (ref) => (ref._id || ref).toString();
+
+/**
+ * Side effects a transition can name in its before/after lists
+ */
+const EFFECTS = {
+  // A cancelled emergency no longer needs the driver's answer
+  withdrawOffer: (emergency, context) =>
+    withdrawOffer(emergency, `Emergency cancelled by ${context.actorName}`),
+
+  // Free up the ambulance and offer it to the top queued emergency
+  releaseAmbulance: async (emergency) => {
+    if (!emergency.ambulance) {
+      return;
+    }
+
+    const ambulance = await Ambulance.findById(idOf(emergency.ambulance));
+    if (!ambulance) {
+      return;
+    }
+
+    ambulance.status = 'available';
+    ambulance.activeEmergency = null;
+    await ambulance.save();
+
+    offerNextQueued(ambulance._id)
+      .catch(err => console.error('Dispatch queue error:', err));
+  },
+
+  // A cancelled emergency no longer needs the bed held for it
+  releaseBed: (emergency, context) =>
+    releaseBed(emergency, `Emergency cancelled by ${context.actorName}`),
+
+  // The handed over patient now occupies the bed held for them
+  consumeBed: (emergency) => consumeBed(emergency),
+
+  // Let the receiving hospital prepare, with the ETA refreshed for the new leg
+  alertHospital: (emergency) => {
+    sendPreArrivalAlert(emergency)
+      .catch(err => console.error('Pre-arrival alert error:', err));
+  },
+
+  // Work out how far the ambulance actually drove for this emergency
+  recordTripMileage: (emergency) => {
+    recordTripMileage(emergency)
+      .catch(err => console.error('Trip mileage error:', err));
+  }
+};
+
+/**
+ * Work out in which capacities a user acts on an emergency
+ * @param {Object} emergency - Emergency, references may be populated
+ * @param {Object|null} user - User document, or null for the system
+ * @returns {Promise<Array>} Any of admin, driver, requester, system
+ */
+const getActorRoles = async (emergency, user) => {
+  if (!user) {
+    return ['system'];
+  }
+
+  const roles = [];
+  const userId = user._id.toString();
+
+  if (user.role === 'admin') {
+    roles.push('admin');
+  }
+  if ((emergency.patient && idOf(emergency.patient) === userId) || idOf(emergency.requestedBy) === userId) {
+    roles.push('requester');
+  }
+  if (await isAssignedDriver(emergency, user)) {
+    roles.push('driver');
+  }
+
+  return roles;
+};
+
+/**
+ * List the statuses the user could move an emergency to next
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} [{status, allowed, reason}] where reason explains a failing guard
+ */
+const getNextTransitions = async (emergency, user) => {
+  const roles = await getActorRoles(emergency, user);
+
+  return Object.entries(TRANSITIONS)
+    .filter(([, transition]) =>
+      transition.from.includes(emergency.status) && transition.by.some(role => roles.includes(role))
+    )
+    .map(([status]) => {
+      const reason = checkTransition(emergency, status);
+      return { status, allowed: !reason, reason };
+    });
+};
+
+/**
+ * Move an emergency to a new status: check who is asking and the transition's guards,
+ * run its side effects, record the timeline entry and notify everyone following it
+ * @param {Object} emergency - Emergency document (not lean, it is saved)
+ * @param {String} status - Target status
+ * @param {Object} options - {user (null for the system), notes, autoDetected}
+ * @returns {Promise<Object>} The emergency
+ */
+const transitionEmergency = async (emergency, status, options = {}) => {
+  const { user = null, notes = '' } = options;
+  const transition = TRANSITIONS[status];
+  if (!transition) {
+    throw createError(400, 'Invalid status');
+  }
+
+  const roles = await getActorRoles(emergency, user);
+  if (!transition.by.some(role => roles.includes(role))) {
+    throw createError(403, status === 'cancelled'
+      ? 'Not authorized to cancel this emergency'
+      : 'Not authorized to update this emergency status');
+  }
+
+  const failure = checkTransition(emergency, status);
+  if (failure) {
+    throw createError(400, failure);
+  }
+
+  const context = { actorName: user ? user.name : 'the system' };
+  for (const effect of transition.before || []) {
+    await EFFECTS[effect](emergency, context);
+  }
+
+  // A driver confirming a geofence proposal keeps it marked as auto-detected
+  const confirmsProposal = !!user && !!emergency.geofence && emergency.geofence.proposedStatus === status;
+  const autoDetected = !!options.autoDetected || confirmsProposal;
+
+  // The ETA only applies while the ambulance is driving a leg
+  if (!isDrivingStatus(status)) {
+    emergency.eta = undefined;
+  }
+
+  await emergency.updateStatus(
+    status,
+    transition.timeline,
+    confirmsProposal ? `Auto-detected, confirmed by ${user.name}${notes ? `: ${notes}` : ''}` : notes,
+    { autoDetected }
+  );
+
+  // The status is saved from here on, so a failing follow-up is logged rather than
+  // failing the request, and the others and the announcement still go ahead
+
+  // Starting a leg (to the patient or to the hospital) gets a fresh ETA
+  if (isDrivingStatus(status) && emergency.ambulance) {
+    try {
+      const ambulance = emergency.ambulance.currentLocation
+        ? emergency.ambulance
+        : await Ambulance.findById(idOf(emergency.ambulance)).select('currentLocation');
+      if (ambulance) {
+        await refreshEmergencyETA(emergency, toLatLng(ambulance.currentLocation));
+      }
+    } catch (err) {
+      console.error('ETA refresh error:', err);
+    }
+  }
+
+  for (const effect of transition.after || []) {
+    try {
+      await EFFECTS[effect](emergency, context);
+    } catch (err) {
+      console.error(`Emergency ${effect} error:`, err);
+    }
+  }
+
+  // Tell everyone following the emergency
+  publishToEmergency(emergency, EVENTS.EMERGENCY_STATUS_UPDATED, {
+    emergencyId: emergency._id,
+    status,
+    eta: emergency.eta && emergency.eta.leg ? emergency.eta : null,
+    autoDetected,
+    timestamp: new Date()
+  });
+
+  // Casualties of an incident also show up on the incident timeline
+  if (emergency.incident) {
+    recordIncidentEvent(
+      emergency.incident,
+      'casualty_status_updated',
+      `${emergency.casualtyLabel || 'Casualty'} is now ${status.replace(/_/g, ' ')}${autoDetected && !user ? ' (auto-detected)' : ''}`,
+      { emergencyId: emergency._id }
+    ).catch(err => console.error('Incident timeline error:', err));
+  }
+
+  return emergency;
+};
+
+module.exports = {
+  getActorRoles,
+  getNextTransitions,
+  transitionEmergency
+};
@@ -0,0 +1,129 @@
+/**
+ * Emergency status state machine. Each entry describes how an emergency enters a status:
+ *
+ *   from      statuses it can be entered from; nothing ever returns to pending
+ *   by        who may perform it: admin, driver (the assigned driver),
+ *             requester (the patient or whoever requested it) and system (dispatch, geofences)
+ *   guards    checks on the emergency, each returns an error message when it fails
+ *   before    side effects run before the new status is saved
+ *   after     side effects run once it is saved
+ *   timeline  status recorded on the emergency timeline
+ *
+ * Side effects are named here and implemented in ./index.js. Every transition also
+ * refreshes or clears the ETA, notifies everyone following the emergency and updates
+ * the incident timeline.
+ */
+
+// Statuses an emergency can still be cancelled from
+const ACTIVE_STATUSES = [
+  'pending', 'assigned', 'en_route', 'arrived_at_patient', 'transporting', 'arrived_at_hospital'
+];
+
+const hasAmbulance = (emergency) =>
+  emergency.ambulance ? null : 'No ambulance is assigned to this emergency';
+
+const hasHandoverSummary = (emergency) =>
+  emergency.handover && emergency.handover.submittedAt
+    ? null
+    : 'A handover summary is required to hand the patient over';
+
+const handoverAcknowledged = (emergency) =>
+  emergency.handover && emergency.handover.acknowledgedAt
+    ? null
+    : 'The hospital has not acknowledged the handover yet';
+
+const TRANSITIONS = {
+  // Entered by dispatchService.assignAmbulance once a driver accepts, as it also claims the ambulance
+  assigned: {
+    from: ['pending'],
+    by: ['system'],
+    fromError: 'Emergency is no longer waiting for an ambulance',
+    timeline: 'ambulance_assigned'
+  },
+  en_route: {
+    from: ['assigned'],
+    by: ['admin', 'driver'],
+    fromError: 'Emergency must be assigned before going en route',
+    guards: [hasAmbulance],
+    timeline: 'ambulance_en_route'
+  },
+  arrived_at_patient: {
+    from: ['assigned', 'en_route'],
+    by: ['admin', 'driver', 'system'],
+    fromError: 'Ambulance must be en route before arriving at patient',
+    guards: [hasAmbulance],
+    timeline: 'ambulance_arrived_at_patient'
+  },
+  transporting: {
+    from: ['arrived_at_patient'],
+    by: ['admin', 'driver'],
+    fromError: 'Ambulance must arrive at patient before transporting',
+    guards: [hasAmbulance],
+    after: ['alertHospital'],
+    timeline: 'patient_picked_up'
+  },
+  arrived_at_hospital: {
+    from: ['transporting'],
+    by: ['admin', 'driver', 'system'],
+    fromError: 'Patient must be in transport before arriving at hospital',
+    guards: [hasAmbulance],
+    timeline: 'arrived_at_hospital'
+  },
+  // Entered through handoverService.submitHandover, which records the summary first
+  patient_handed_over: {
+    from: ['arrived_at_hospital'],
+    by: ['admin', 'driver'],
+    fromError: 'Patient must arrive at hospital before the handover',
+    guards: [hasHandoverSummary],
+    after: ['consumeBed'],
+    timeline: 'patient_handed_over'
+  },
+  // The ambulance is only released once the hospital has taken custody of the patient
+  completed: {
+    from: ['patient_handed_over'],
+    by: ['admin', 'driver'],
+    fromError: 'Patient must be handed over before completion',
+    guards: [handoverAcknowledged],
+    after: ['releaseAmbulance', 'recordTripMileage'],
+    timeline: 'emergency_completed'
+  },
+  cancelled: {
+    from: ACTIVE_STATUSES,
+    by: ['admin', 'requester'],
+    fromError: 'Only an active emergency can be cancelled',
+    before: ['withdrawOffer'],
+    after: ['releaseAmbulance', 'releaseBed'],
+    timeline: 'emergency_cancelled'
+  }
+};
+
+/**
+ * Check whether an emergency in its current status can enter another, ignoring who asks
+ * @param {Object} emergency - Emergency document
+ * @param {String} status - Target status
+ * @returns {String|null} Why it cannot, or null when it can
+ */
+const checkTransition = (emergency, status) => {
+  const transition = TRANSITIONS[status];
+  if (!transition) {
+    return 'Invalid status';
+  }
+  if (!transition.from.includes(emergency.status)) {
+    return transition.fromError;
+  }
+
+  for (const guard of transition.guards || []) {
+    const failure = guard(emergency);
+    if (failure) {
+      return failure;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  TRANSITIONS,
+  ACTIVE_STATUSES,
+  checkTransition
+};
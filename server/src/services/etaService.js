@@ -0,0 +1,148 @@
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const { calculateRoute } = require('./maps');
+const { toLatLng } = require('../utils/geoUtils');
+const { EVENTS, publishToEmergency } = require('./realtime');
+
+// Statuses in which the ambulance is driving, and where it is heading
+const LEG_BY_STATUS = {
+  assigned: 'to_patient',
+  en_route: 'to_patient',
+  transporting: 'to_hospital'
+};
+
+/**
+ * Get the travel distance and time between two points from the routing provider.
+ * The provider falls back to a distance/average-speed model when routing is unavailable.
+ * @param {Object} origin - Origin coordinates {lat, lng}
+ * @param {Object} destination - Destination coordinates {lat, lng}
+ * @returns {Promise<Object>} {distance, duration, polyline, source: route|estimate}
+ */
+const estimateTravel = async (origin, destination) => {
+  const route = await calculateRoute(origin, destination);
+  return {
+    distance: route.distance,
+    duration: route.durationInTraffic || route.duration,
+    polyline: route.polyline,
+    source: route.source
+  };
+};
+
+/**
+ * Whether the ambulance is driving a leg in this status, so an ETA applies
+ */
+const isDrivingStatus = (status) => !!LEG_BY_STATUS[status];
+
+/**
+ * Work out which leg an emergency is on and where that leg ends
+ * @param {Object} emergency - Emergency document, hospital may be populated
+ * @returns {Promise<Object|null>} {leg, destination} or null when the ambulance is not driving
+ */
+const getCurrentLeg = async (emergency) => {
+  const leg = LEG_BY_STATUS[emergency.status];
+  if (!leg) {
+    return null;
+  }
+
+  if (leg === 'to_patient') {
+    return { leg, destination: emergency.location.pickup.coordinates };
+  }
+
+  // Prefer the receiving hospital, then any destination given with the request
+  if (emergency.hospital) {
+    const hospital = emergency.hospital.location
+      ? emergency.hospital
+      : await Hospital.findById(emergency.hospital).select('location');
+    if (hospital) {
+      return { leg, destination: toLatLng(hospital.location) };
+    }
+  }
+
+  const destination = emergency.location.destination;
+  if (destination && destination.coordinates && destination.coordinates.lat !== undefined) {
+    return { leg, destination: destination.coordinates };
+  }
+
+  return null;
+};
+
+/**
+ * Build the ETA stored on an emergency from a travel estimate
+ * @param {String} leg - to_patient or to_hospital
+ * @param {Object} travel - {distance, duration, source}
+ * @returns {Object} ETA with the expected arrival time
+ */
+const buildETA = (leg, travel) => {
+  const now = new Date();
+  return {
+    leg,
+    distance: travel.distance,
+    duration: travel.duration,
+    arrivalAt: new Date(now.getTime() + travel.duration.value * 1000),
+    source: travel.source || 'route',
+    updatedAt: now
+  };
+};
+
+/**
+ * Recalculate an emergency's ETA from the ambulance position, store it and notify watchers
+ * @param {Object} emergency - Emergency document
+ * @param {Object} origin - Current ambulance coordinates {lat, lng}
+ * @returns {Promise<Object|null>} The new ETA, or null when the emergency has no leg to drive
+ */
+const refreshEmergencyETA = async (emergency, origin) => {
+  const current = origin ? await getCurrentLeg(emergency) : null;
+  if (!current) {
+    return null;
+  }
+
+  const travel = await estimateTravel(origin, current.destination);
+  const eta = buildETA(current.leg, travel);
+
+  // Only store it if the emergency has not moved on to another status meanwhile
+  const result = await Emergency.updateOne(
+    { _id: emergency._id, status: emergency.status },
+    { eta }
+  );
+  if (result.matchedCount === 0) {
+    return null;
+  }
+  emergency.eta = eta;
+
+  publishToEmergency(emergency, EVENTS.ETA_UPDATED, {
+    emergencyId: emergency._id,
+    status: emergency.status,
+    eta
+  });
+
+  return eta;
+};
+
+/**
+ * Refresh the ETA of the emergency an ambulance is currently serving
+ * @param {Object} ambulance - Ambulance document with an up to date location
+ * @returns {Promise<Object|null>} {emergencyId, eta} or null when there is nothing to refresh
+ */
+const refreshAmbulanceETA = async (ambulance) => {
+  if (!ambulance.activeEmergency) {
+    return null;
+  }
+
+  const emergency = await Emergency.findById(ambulance.activeEmergency)
+    .select('status location hospital patient requestedBy eta');
+  if (!emergency) {
+    return null;
+  }
+
+  const eta = await refreshEmergencyETA(emergency, toLatLng(ambulance.currentLocation));
+  return eta ? { emergencyId: emergency._id, eta } : null;
+};
+
+module.exports = {
+  estimateTravel,
+  isDrivingStatus,
+  getCurrentLeg,
+  buildETA,
+  refreshEmergencyETA,
+  refreshAmbulanceETA
+};
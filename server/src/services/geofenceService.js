@@ -0,0 +1,129 @@
+const Emergency = require('../models/Emergency');
+const {
+  GEOFENCE_MODE,
+  PICKUP_GEOFENCE_RADIUS,
+  HOSPITAL_GEOFENCE_RADIUS
+} = require('../config/geofence');
+const { haversineDistance, toLatLng } = require('../utils/geoUtils');
+const { getCurrentLeg } = require('./etaService');
+const { transitionEmergency } = require('./emergencyStatus');
+const { EVENTS, ROOMS, publish } = require('./realtime');
+
+// Geofence at the end of each leg and the status it triggers
+const GEOFENCES = {
+  to_patient: {
+    name: 'pickup',
+    radius: PICKUP_GEOFENCE_RADIUS,
+    status: 'arrived_at_patient'
+  },
+  to_hospital: {
+    name: 'hospital',
+    radius: HOSPITAL_GEOFENCE_RADIUS,
+    status: 'arrived_at_hospital'
+  }
+};
+
+/**
+ * Check whether a position is inside the geofence at the end of the emergency's current leg
+ * @param {Object} emergency - Emergency document
+ * @param {Object} position - Ambulance coordinates {lat, lng}
+ * @returns {Promise<Object|null>} {status, geofence, distance} or null when outside
+ */
+const detectArrival = async (emergency, position) => {
+  const current = await getCurrentLeg(emergency);
+  if (!current) {
+    return null;
+  }
+
+  const geofence = GEOFENCES[current.leg];
+  const distance = Math.round(haversineDistance(position, current.destination));
+  if (distance > geofence.radius) {
+    return null;
+  }
+
+  return { status: geofence.status, geofence: geofence.name, distance };
+};
+
+/**
+ * Apply a detected arrival through the status state machine
+ */
+const applyArrival = (emergency, arrival) =>
+  transitionEmergency(emergency, arrival.status, {
+    notes: `Auto-detected: ambulance within ${arrival.distance} m of the ${arrival.geofence}`,
+    autoDetected: true
+  });
+
+/**
+ * Ask the driver to confirm a detected arrival. Each arrival is only proposed once.
+ */
+const proposeArrival = async (emergency, arrival) => {
+  if (emergency.geofence && emergency.geofence.proposedStatus === arrival.status) {
+    return false;
+  }
+
+  const detectedAt = new Date();
+  const result = await Emergency.updateOne(
+    { _id: emergency._id, status: emergency.status },
+    { geofence: { proposedStatus: arrival.status, detectedAt, distance: arrival.distance } }
+  );
+  if (result.matchedCount === 0) {
+    return false;
+  }
+
+  publish([ROOMS.emergency(emergency._id)], EVENTS.STATUS_CHANGE_PROPOSED, {
+    emergencyId: emergency._id,
+    status: arrival.status,
+    geofence: arrival.geofence,
+    distance: arrival.distance,
+    detectedAt
+  });
+
+  return true;
+};
+
+/**
+ * Check an ambulance position against the emergency's geofences and propose or
+ * apply the arrival, depending on the configured geofence mode
+ * @param {Object} emergency - Emergency document (not lean, it may be saved)
+ * @param {Object} position - Ambulance coordinates {lat, lng}
+ * @returns {Promise<Object|null>} {status, mode, distance} when an arrival was detected
+ */
+const checkGeofences = async (emergency, position) => {
+  const arrival = await detectArrival(emergency, position);
+  if (!arrival) {
+    return null;
+  }
+
+  if (GEOFENCE_MODE === 'apply') {
+    await applyArrival(emergency, arrival);
+  } else if (!(await proposeArrival(emergency, arrival))) {
+    return null;
+  }
+
+  return { status: arrival.status, mode: GEOFENCE_MODE, distance: arrival.distance };
+};
+
+/**
+ * Check the latest location of an ambulance against its active emergency
+ * @param {Object} ambulance - Ambulance document with an up to date location
+ * @returns {Promise<Object|null>} {emergencyId, status, mode, distance} when an arrival was detected
+ */
+const checkAmbulanceGeofences = async (ambulance) => {
+  if (!ambulance.activeEmergency) {
+    return null;
+  }
+
+  const emergency = await Emergency.findById(ambulance.activeEmergency);
+  if (!emergency) {
+    return null;
+  }
+
+  const transition = await checkGeofences(emergency, toLatLng(ambulance.currentLocation));
+  return transition ? { emergencyId: emergency._id, ...transition } : null;
+};
+
+module.exports = {
+  detectArrival,
+  checkGeofences,
+  checkAmbulanceGeofences
+};
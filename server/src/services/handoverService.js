@@ -0,0 +1,82 @@
+const { createError } = require('../middlewares/errorHandler');
+const { isHospitalStaff } = require('./accessService');
+const { transitionEmergency } = require('./emergencyStatus');
+const { EVENTS, publishToEmergency } = require('./realtime');
+
+/**
+ * Record the crew's handover summary and hand the patient over to the hospital
+ * @param {Object} emergency - Emergency document, ambulance may be populated
+ * @param {Object} user - Crew member or admin submitting it
+ * @param {Object} summary - {vitals, treatmentGiven, notes}
+ * @returns {Promise<Object>} The emergency
+ */
+const submitHandover = async (emergency, user, summary = {}) => {
+  const { vitals, treatmentGiven = [], notes } = summary;
+
+  emergency.handover = {
+    vitals: vitals ? { ...vitals, recordedAt: vitals.recordedAt || new Date() } : undefined,
+    treatmentGiven,
+    notes,
+    submittedBy: user._id,
+    submittedAt: new Date()
+  };
+
+  await transitionEmergency(emergency, 'patient_handed_over', {
+    user,
+    notes: `Handover summary submitted by ${user.name}`
+  });
+
+  publishToEmergency(emergency, EVENTS.HANDOVER_SUBMITTED, {
+    emergencyId: emergency._id,
+    handover: emergency.handover
+  });
+
+  return emergency;
+};
+
+/**
+ * Acknowledge receipt of a handed over patient on behalf of the receiving hospital.
+ * Until then the emergency cannot be completed and the ambulance stays assigned.
+ * @param {Object} emergency - Emergency document
+ * @param {Object} user - Hospital administrator, ER staff member or admin
+ * @param {String} notes - Optional acknowledgement notes
+ * @returns {Promise<Object>} The emergency
+ */
+const acknowledgeHandover = async (emergency, user, notes = '') => {
+  if (user.role !== 'admin' && !(await isHospitalStaff(emergency, user))) {
+    throw createError(403, 'Only the receiving hospital can acknowledge the handover');
+  }
+
+  if (emergency.status !== 'patient_handed_over') {
+    throw createError(400, 'Patient has not been handed over yet');
+  }
+
+  if (emergency.handover.acknowledgedAt) {
+    throw createError(400, 'Handover has already been acknowledged');
+  }
+
+  const acknowledgedAt = new Date();
+  emergency.handover.acknowledgedBy = user._id;
+  emergency.handover.acknowledgedAt = acknowledgedAt;
+  emergency.handover.acknowledgementNotes = notes;
+  emergency.timeline.push({
+    status: 'handover_acknowledged',
+    time: acknowledgedAt,
+    notes: `Handover acknowledged by ${user.name}${notes ? `: ${notes}` : ''}`
+  });
+  await emergency.save();
+
+  publishToEmergency(emergency, EVENTS.HANDOVER_ACKNOWLEDGED, {
+    emergencyId: emergency._id,
+    acknowledgedBy: { _id: user._id, name: user.name },
+    acknowledgedAt,
+    notes
+  });
+
+  return emergency;
+};
+
+module.exports = {
+  submitHandover,
+  acknowledgeHandover
+};
@@ -0,0 +1,284 @@
+const { parse } = require('csv-parse/sync');
+const Hospital = require('../models/Hospital');
+const {
+  IMPORT_FILE_FORMATS,
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS
+} = require('../config/hospitalImport');
+const { createError } = require('../middlewares/errorHandler');
+const { toPoint } = require('../utils/geoUtils');
+
+const IMPORT_FORMATS = ['csv', 'geojson'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SPECIALTIES = Hospital.schema.path('specialties').caster.enumValues;
+const PAYMENT_METHODS = Hospital.schema.path('paymentMethods').caster.enumValues;
+
+// "Zip Code", "zip_code" and "address.zipCode" all become "zipcode"
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Work out the format of an import file from its name
+ * @param {String} filename - e.g. hospitals.csv
+ * @returns {String|null} csv, geojson or null if unknown
+ */
+const detectFormat = (filename = '') =>
+  IMPORT_FILE_FORMATS[filename.split('.').pop().toLowerCase()] || null;
+
+/**
+ * Read CSV rows; the first line names the columns
+ * @returns {Array} [{row, fields}] where row is the line number in the file
+ */
+const parseCsv = (content) => {
+  let records;
+  try {
+    records = parse(content, {
+      columns: header => header.map(normalizeKey),
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true
+    });
+  } catch (error) {
+    throw createError(400, `Could not read CSV: ${error.message}`);
+  }
+
+  return records.map((fields, index) => ({ row: index + 2, fields, errors: [] }));
+};
+
+// Flatten nested properties, so {address: {city}} can be read as addresscity
+const flattenProperties = (properties, prefix = '') =>
+  Object.entries(properties || {}).reduce((fields, [key, value]) => {
+    const name = prefix + normalizeKey(key);
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return { ...fields, ...flattenProperties(value, name) };
+    }
+    return { ...fields, [name]: value };
+  }, {});
+
+/**
+ * Read the features of a GeoJSON FeatureCollection; a Point geometry gives the
+ * coordinates, properties give everything else
+ * @returns {Array} [{row, fields}] where row is the feature number, from 1
+ */
+const parseGeoJson = (content) => {
+  let collection;
+  try {
+    collection = typeof content === 'string' || Buffer.isBuffer(content)
+      ? JSON.parse(content.toString())
+      : content;
+  } catch (error) {
+    throw createError(400, `Could not read GeoJSON: ${error.message}`);
+  }
+
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw createError(400, 'GeoJSON must be a FeatureCollection');
+  }
+
+  return collection.features.map((feature, index) => {
+    const fields = flattenProperties(feature && feature.properties);
+    const errors = [];
+    const geometry = feature && feature.geometry;
+
+    if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      [fields.lng, fields.lat] = geometry.coordinates;
+    } else if (geometry) {
+      errors.push(`Geometry must be a Point, not ${geometry.type}`);
+    }
+
+    return { row: index + 1, fields, errors };
+  });
+};
+
+// First non-empty value among a field's column names
+const pick = (fields, field) => {
+  const key = IMPORT_COLUMNS[field].find(name =>
+    fields[name] !== undefined && fields[name] !== null && fields[name] !== '');
+  return key === undefined ? undefined : fields[key];
+};
+
+const text = (value) => (value === undefined ? undefined : String(value).trim());
+
+// Lists are arrays in GeoJSON and separated by ; | or , in CSV
+const toList = (value) => {
+  if (value === undefined) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(/[;|,]/);
+  return [...new Set(items
+    .map(item => String(item).trim().toLowerCase().replace(/[\s-]+/g, '_'))
+    .filter(Boolean))];
+};
+
+/**
+ * Map one row to Hospital fields
+ * @param {Object} fields - Row values keyed by normalized column name
+ * @returns {Object} {data, errors}
+ */
+const mapRow = (fields) => {
+  const errors = [];
+
+  const email = text(pick(fields, 'email'));
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    errors.push('Valid email is required');
+  }
+
+  const lat = Number(pick(fields, 'lat'));
+  const lng = Number(pick(fields, 'lng'));
+  const hasCoordinates = pick(fields, 'lat') !== undefined && pick(fields, 'lng') !== undefined &&
+    Number.isFinite(lat) && Math.abs(lat) <= 90 && Number.isFinite(lng) && Math.abs(lng) <= 180;
+  if (!hasCoordinates) {
+    errors.push('Valid latitude and longitude are required');
+  }
+
+  const specialties = toList(pick(fields, 'specialties'));
+  const unknownSpecialties = specialties.filter(specialty => !SPECIALTIES.includes(specialty));
+  if (unknownSpecialties.length > 0) {
+    errors.push(`Unknown specialties: ${unknownSpecialties.join(', ')}`);
+  }
+
+  const paymentMethods = toList(pick(fields, 'paymentMethods'));
+  const unknownMethods = paymentMethods.filter(method => !PAYMENT_METHODS.includes(method));
+  if (unknownMethods.length > 0) {
+    errors.push(`Unknown payment methods: ${unknownMethods.join(', ')}`);
+  }
+
+  const data = {
+    name: text(pick(fields, 'name')),
+    email: email && email.toLowerCase(),
+    phone: text(pick(fields, 'phone')),
+    address: {
+      street: text(pick(fields, 'street')),
+      city: text(pick(fields, 'city')),
+      state: text(pick(fields, 'state')),
+      zipCode: text(pick(fields, 'zipCode')),
+      country: text(pick(fields, 'country'))
+    },
+    location: hasCoordinates ? toPoint(lat, lng) : undefined
+  };
+
+  // Lists are only replaced when the file has them, so an update keeps the ones it lacks
+  if (specialties.length > 0) {
+    data.specialties = specialties;
+  }
+  if (paymentMethods.length > 0) {
+    data.paymentMethods = paymentMethods;
+  }
+
+  // Everything else (required fields and so on) is checked by the schema, leaving out
+  // what was reported above
+  const invalid = new Hospital(data).validateSync();
+  if (invalid) {
+    errors.push(...Object.entries(invalid.errors)
+      .filter(([path]) => !/^(email|location|specialties|paymentMethods)\b/.test(path))
+      .map(([, error]) => error.message));
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Create hospitals from a CSV file or GeoJSON FeatureCollection, or update the ones
+ * already registered with the same email. Rows with errors are skipped and the rest
+ * are still imported; a dry run only reports what would happen.
+ * @param {String|Buffer|Object} content - File content (or a parsed FeatureCollection)
+ * @param {Object} options - {format: csv or geojson, dryRun}
+ * @returns {Promise<Object>} {dryRun, format, total, created, updated, skipped, rows}
+ *          where rows lists {row, email, name, action, errors} for each row
+ */
+const importHospitals = async (content, { format, dryRun = false }) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw createError(400, `Import format must be one of ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const rows = format === 'csv' ? parseCsv(content) : parseGeoJson(content);
+
+  if (rows.length === 0) {
+    throw createError(400, 'Import file has no rows');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw createError(400, `Import file has ${rows.length} rows, at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+
+  const results = rows.map(({ row, fields, errors }) => {
+    const mapped = mapRow(fields);
+    return { row, data: mapped.data, errors: [...errors, ...mapped.errors] };
+  });
+
+  // The same email twice in one file would update the hospital twice
+  const firstRow = new Map();
+  results.forEach(result => {
+    const { email } = result.data;
+    if (!email) {
+      return;
+    }
+    if (firstRow.has(email)) {
+      result.errors.push(`Same email as row ${firstRow.get(email)}`);
+    } else {
+      firstRow.set(email, result.row);
+    }
+  });
+
+  const existing = new Set(
+    await Hospital.find({ email: { $in: [...firstRow.keys()] } }).distinct('email')
+  );
+
+  results.forEach(result => {
+    if (result.errors.length > 0) {
+      result.action = 'skipped';
+    } else {
+      result.action = existing.has(result.data.email) ? 'updated' : 'created';
+    }
+  });
+
+  const valid = results.filter(result => result.action !== 'skipped');
+
+  if (!dryRun && valid.length > 0) {
+    try {
+      await Hospital.bulkWrite(valid.map(({ data }) => ({
+        updateOne: {
+          filter: { email: data.email },
+          update: { $set: data },
+          upsert: true,
+          setDefaultsOnInsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      // Rows that failed (e.g. another import created the same email first) are skipped
+      error.writeErrors.forEach(writeError => {
+        const result = valid[writeError.index];
+        result.action = 'skipped';
+        result.errors.push(writeError.errmsg);
+      });
+    }
+  }
+
+  const count = action => results.filter(result => result.action === action).length;
+
+  return {
+    dryRun,
+    format,
+    total: results.length,
+    created: count('created'),
+    updated: count('updated'),
+    skipped: count('skipped'),
+    rows: results.map(({ row, data, action, errors }) => ({
+      row,
+      email: data.email,
+      name: data.name,
+      action,
+      errors
+    }))
+  };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  importHospitals
+};
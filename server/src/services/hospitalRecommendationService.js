@@ -0,0 +1,147 @@
+const Hospital = require('../models/Hospital');
+const {
+  EMERGENCY_SPECIALTIES,
+  HOSPITAL_SEARCH_RADIUS,
+  HOSPITAL_CANDIDATE_POOL,
+  MAX_TRANSPORT_SECONDS
+} = require('../config/dispatch');
+const { toLatLng } = require('../utils/geoUtils');
+const { getDistanceMatrix } = require('./maps');
+const { selectUnit, countHeldBeds, getUnitCapacity } = require('./capacityService');
+
+// Maximum points for each part of the score (adds up to 100)
+const SPECIALTY_POINTS = 40;
+const CAPACITY_POINTS = 25;
+const PROXIMITY_POINTS = 35;
+
+/**
+ * Score a single hospital for an emergency
+ * @returns {Object} {score, eligible, reasons}
+ */
+const scoreHospital = (hospital, emergency, leg, capacity, now) => {
+  const reasons = [];
+  let eligible = true;
+  let score = 0;
+
+  if (hospital.status !== 'active') {
+    eligible = false;
+    reasons.push(`Not eligible: hospital status is ${hospital.status}`);
+  }
+
+  if (!hospital.isOpenAt(now)) {
+    eligible = false;
+    const opensAt = hospital.opensAt(now);
+    reasons.push(`Not eligible: closed at this time${opensAt ? ` (opens ${opensAt.toISOString()})` : ''}`);
+  }
+
+  const required = EMERGENCY_SPECIALTIES[emergency.emergencyType] || [];
+
+  const diversion = hospital.getDiversionAt(now, required);
+  if (diversion) {
+    eligible = false;
+    reasons.push(`Not eligible: on divert until ${diversion.endsAt.toISOString()} (${diversion.reason})`);
+  }
+
+  // Specialty match
+  const matched = required.filter(specialty => (hospital.specialties || []).includes(specialty));
+  if (required.length === 0) {
+    score += SPECIALTY_POINTS / 2;
+    reasons.push(`+${SPECIALTY_POINTS / 2} no specialty needed for ${emergency.emergencyType} emergency`);
+  } else if (matched.length > 0) {
+    score += SPECIALTY_POINTS;
+    reasons.push(`+${SPECIALTY_POINTS} has ${matched.join(', ')} specialty`);
+  } else {
+    reasons.push(`+0 no ${required.join('/')} specialty`);
+  }
+
+  // Beds in the unit the patient needs
+  const { unit, total, available } = capacity;
+  if (available <= 0) {
+    eligible = false;
+    reasons.push(`Not eligible: no ${unit} beds available`);
+  } else {
+    const capacityScore = Math.round(CAPACITY_POINTS * Math.min(1, available / Math.max(total, 1)));
+    score += capacityScore;
+    reasons.push(`+${capacityScore} ${available}/${total} ${unit} beds free`);
+  }
+
+  // Transport time
+  const proximityScore = Math.round(
+    PROXIMITY_POINTS * Math.max(0, 1 - leg.duration.value / MAX_TRANSPORT_SECONDS)
+  );
+  score += proximityScore;
+  reasons.push(
+    `+${proximityScore} ${leg.distance.text} / ${leg.duration.text} away${leg.source === 'estimate' ? ' (estimated)' : ''}`
+  );
+
+  return { score, eligible, reasons };
+};
+
+/**
+ * Rank candidate hospitals for an emergency
+ * @param {Object} emergency - Emergency document
+ * @param {Object} options - {radius, limit, includeIneligible}
+ * @returns {Promise<Array>} Scored hospitals, eligible ones first, best first
+ */
+const recommendHospitals = async (emergency, options = {}) => {
+  const {
+    radius = HOSPITAL_SEARCH_RADIUS,
+    limit = 5,
+    includeIneligible = false
+  } = options;
+
+  const origin = emergency.location.pickup.coordinates;
+  const now = new Date();
+
+  // Inactive and diverting hospitals are fetched too so they can be reported as ineligible.
+  // The pool does not depend on limit, so a short list still looks past ineligible neighbours.
+  const hospitals = await Hospital.find({
+    location: {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: [origin.lng, origin.lat]
+        },
+        $maxDistance: radius
+      }
+    }
+  })
+    .limit(HOSPITAL_CANDIDATE_POOL)
+    .select('name address location phone capacity specialties operatingHours status diversions');
+
+  // One distance matrix call covers the transport leg to every candidate
+  const [legs = []] = await getDistanceMatrix(
+    [origin],
+    hospitals.map(hospital => toLatLng(hospital.location))
+  );
+
+  // Free beds come from the reservation ledger
+  const unit = selectUnit(emergency);
+  const held = await countHeldBeds(hospitals);
+
+  const recommendations = hospitals.map((hospital, index) => {
+    const leg = legs[index];
+    const capacity = { unit, ...getUnitCapacity(hospital, unit, held) };
+    const { score, eligible, reasons } = scoreHospital(hospital, emergency, leg, capacity, now);
+
+    return {
+      hospital,
+      capacity,
+      score,
+      eligible,
+      reasons,
+      distance: leg.distance,
+      duration: leg.duration,
+      durationSource: leg.source
+    };
+  });
+
+  return recommendations
+    .filter(recommendation => includeIneligible || recommendation.eligible)
+    .sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score))
+    .slice(0, limit);
+};
+
+module.exports = {
+  recommendHospitals
+};
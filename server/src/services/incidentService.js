@@ -0,0 +1,267 @@
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const Incident = require('../models/Incident');
+const { rankAmbulances, offerAmbulance } = require('./dispatchService');
+const { recommendHospitals } = require('./hospitalRecommendationService');
+const { selectUnit, reserveBed } = require('./capacityService');
+const { EMERGENCY_SPECIALTIES } = require('../config/dispatch');
+const { toLatLng } = require('../utils/geoUtils');
+const { EVENTS, publishToIncident } = require('./realtime');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Most severe casualties are dispatched and allocated first
+const bySeverity = (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity);
+
+const casualtyName = (emergency) => emergency.casualtyLabel || `Casualty ${emergency._id}`;
+
+/**
+ * Add an entry to the incident timeline and push it to the incident's followers
+ * @param {String} incidentId - Incident id
+ * @param {String} event - Timeline event
+ * @param {String} notes - Description of what happened
+ * @param {Object} options - {emergencyId}
+ */
+const recordIncidentEvent = async (incidentId, event, notes, options = {}) => {
+  const { emergencyId = null } = options;
+  const incident = await Incident.recordEvent(incidentId, event, notes, emergencyId);
+
+  if (incident) {
+    publishToIncident(incidentId, EVENTS.INCIDENT_UPDATED, {
+      incidentId,
+      event,
+      emergencyId,
+      notes,
+      timestamp: new Date()
+    });
+  }
+
+  return incident;
+};
+
+/**
+ * Create an Emergency for each casualty at the incident scene
+ * @param {Object} incident - Incident document
+ * @param {Array} casualties - [{severity, emergencyType, symptoms, medicalNotes, pediatric, patient, label}]
+ * @param {Object} user - User adding the casualties
+ * @returns {Promise<Array>} Created emergencies
+ */
+const addCasualties = async (incident, casualties, user) => {
+  const created = [];
+
+  for (const casualty of casualties) {
+    const label = casualty.label || `Casualty ${incident.emergencies.length + 1}`;
+
+    const emergency = await Emergency.create({
+      patient: casualty.patient,
+      incident: incident._id,
+      casualtyLabel: label,
+      requestedBy: user._id,
+      severity: casualty.severity,
+      location: {
+        pickup: {
+          address: incident.location.address,
+          coordinates: incident.location.coordinates
+        }
+      },
+      symptoms: casualty.symptoms || [],
+      medicalNotes: casualty.medicalNotes || '',
+      emergencyType: casualty.emergencyType || 'other',
+      pediatric: !!casualty.pediatric,
+      dispatch: { mode: 'manual' },
+      timeline: [
+        {
+          status: 'emergency_requested',
+          time: new Date(),
+          notes: `${label} added to incident "${incident.title}" by ${user.name}`
+        }
+      ]
+    });
+
+    incident.emergencies.push(emergency._id);
+    incident.timeline.push({
+      event: 'casualty_added',
+      emergency: emergency._id,
+      time: new Date(),
+      notes: `${label} (${emergency.severity} ${emergency.emergencyType}) added by ${user.name}`
+    });
+    created.push(emergency);
+  }
+
+  await incident.save();
+
+  publishToIncident(incident._id, EVENTS.INCIDENT_UPDATED, {
+    incidentId: incident._id,
+    event: 'casualty_added',
+    emergencyIds: created.map(emergency => emergency._id),
+    timestamp: new Date()
+  });
+
+  return created;
+};
+
+/**
+ * Offer ambulances to several casualties at once.
+ * Explicit {emergencyId, ambulanceId} pairs are honoured; every other pending casualty
+ * gets the best ranked ambulance. Each offer reserves its unit, so one batch never
+ * offers the same ambulance twice.
+ * @param {Object} incident - Incident document
+ * @param {Array} assignments - Optional [{emergencyId, ambulanceId}]
+ * @param {Object} user - Dispatcher
+ * @returns {Promise<Array>} [{emergencyId, casualtyLabel, ambulance}] where ambulance is null if none was found
+ */
+const dispatchUnits = async (incident, assignments = [], user) => {
+  const filter = {
+    _id: { $in: incident.emergencies },
+    status: 'pending',
+    'dispatch.offer.status': { $ne: 'pending' }
+  };
+  if (assignments.length > 0) {
+    filter._id = { $in: assignments.map(assignment => assignment.emergencyId) };
+    filter.incident = incident._id;
+  }
+
+  const emergencies = (await Emergency.find(filter)).sort(bySeverity);
+  const notes = `Dispatched with incident "${incident.title}" by ${user.name}`;
+  const results = [];
+
+  for (const emergency of emergencies) {
+    const explicit = assignments.find(assignment => assignment.emergencyId === emergency._id.toString());
+    let ambulance = null;
+
+    if (explicit) {
+      ambulance = await offerAmbulance(emergency, explicit.ambulanceId, { notes });
+    } else {
+      const candidates = await rankAmbulances(emergency);
+      for (const candidate of candidates) {
+        const { leg } = candidate;
+        ambulance = await offerAmbulance(emergency, candidate.ambulance._id, {
+          route: leg.source === 'route'
+            ? { distance: leg.distance, duration: leg.duration, polyline: leg.polyline }
+            : null,
+          notes: `${notes}. ${candidate.reason}`
+        });
+        if (ambulance) {
+          break;
+        }
+      }
+    }
+
+    results.push({
+      emergencyId: emergency._id,
+      casualtyLabel: emergency.casualtyLabel,
+      ambulance: ambulance ? {
+        _id: ambulance._id,
+        registrationNumber: ambulance.registrationNumber
+      } : null
+    });
+  }
+
+  const offered = results.filter(result => result.ambulance);
+  await recordIncidentEvent(
+    incident._id,
+    'units_dispatched',
+    `${offered.length} of ${results.length} casualties offered an ambulance by ${user.name}` +
+      (offered.length > 0
+        ? `: ${offered.map(result => `${result.casualtyLabel} → ${result.ambulance.registrationNumber}`).join(', ')}`
+        : '')
+  );
+
+  return results;
+};
+
+/**
+ * Split casualties that have no hospital yet across receiving hospitals.
+ * Explicit {emergencyId, hospitalId} pairs are honoured; the rest take the best
+ * recommended hospital that still has a bed in the unit the casualty needs. Beds are
+ * reserved as each casualty is allocated, so later casualties spill over to the next hospital.
+ * @param {Object} incident - Incident document
+ * @param {Array} allocations - Optional [{emergencyId, hospitalId}]
+ * @param {Object} user - Dispatcher
+ * @returns {Promise<Array>} [{emergencyId, casualtyLabel, hospital, skipped}] where hospital is null if
+ *          none was found, and skipped says why an explicit hospital was not used (closed or on divert)
+ */
+const distributeToHospitals = async (incident, allocations = [], user) => {
+  const emergencies = (await Emergency.find({
+    _id: { $in: incident.emergencies },
+    status: { $nin: ['completed', 'cancelled'] },
+    hospital: null
+  })).sort(bySeverity);
+
+  const results = [];
+  const now = new Date();
+
+  for (const emergency of emergencies) {
+    const explicit = allocations.find(allocation => allocation.emergencyId === emergency._id.toString());
+    let hospital = null;
+
+    if (explicit) {
+      hospital = await Hospital.findById(explicit.hospitalId);
+
+      // A hospital the dispatcher picked still has to be taking this patient
+      const diversion = hospital &&
+        hospital.getDiversionAt(now, EMERGENCY_SPECIALTIES[emergency.emergencyType] || []);
+      let skipped = null;
+      if (diversion) {
+        skipped = `${hospital.name} is on divert until ${diversion.endsAt.toISOString()}: ${diversion.reason}`;
+      } else if (hospital && !hospital.isOpenAt(now)) {
+        const opensAt = hospital.opensAt(now);
+        skipped = `${hospital.name} is closed${opensAt ? ` until ${opensAt.toISOString()}` : ''}`;
+      }
+
+      if (skipped) {
+        results.push({
+          emergencyId: emergency._id,
+          casualtyLabel: emergency.casualtyLabel,
+          hospital: null,
+          skipped
+        });
+        continue;
+      }
+    } else {
+      const [recommendation] = await recommendHospitals(emergency, { limit: 1 });
+      hospital = recommendation ? recommendation.hospital : null;
+    }
+
+    // Holding the bed can still fail if the unit filled up meanwhile
+    const unit = selectUnit(emergency);
+    if (hospital && !(await reserveBed(emergency, hospital._id, unit))) {
+      hospital = null;
+    }
+
+    if (hospital) {
+      emergency.hospital = hospital._id;
+      emergency.hospitalUnit = unit;
+      emergency.location.destination = {
+        address: `${hospital.name}, ${hospital.address.street}, ${hospital.address.city}`,
+        coordinates: toLatLng(hospital.location)
+      };
+      await emergency.save();
+
+      await recordIncidentEvent(
+        incident._id,
+        'hospital_allocated',
+        `${casualtyName(emergency)} (${emergency.severity}) → ${hospital.name}`,
+        { emergencyId: emergency._id }
+      );
+    }
+
+    results.push({
+      emergencyId: emergency._id,
+      casualtyLabel: emergency.casualtyLabel,
+      hospital: hospital ? {
+        _id: hospital._id,
+        name: hospital.name
+      } : null
+    });
+  }
+
+  return results;
+};
+
+module.exports = {
+  recordIncidentEvent,
+  addCasualties,
+  dispatchUnits,
+  distributeToHospitals
+};
@@ -0,0 +1,124 @@
+const Ambulance = require('../models/Ambulance');
+const Hospital = require('../models/Hospital');
+const {
+  STALE_LOCATION_SECONDS,
+  OFFLINE_GRACE_SECONDS,
+  LOCATION_WATCHDOG_INTERVAL_SECONDS
+} = require('../config/tracking');
+const { sendAlert } = require('../utils/twilioUtils');
+const { EVENTS, ROOMS, publish } = require('./realtime');
+
+let watchdogTimer = null;
+
+/**
+ * Alert the driver and the hospital admins of an ambulance, and dispatchers over the socket
+ * @param {Object} ambulance - Ambulance document with the driver populated
+ * @param {String} event - Event name from the catalogue
+ * @param {String} message - Alert text
+ */
+const alertAmbulanceContacts = async (ambulance, event, message) => {
+  const hospital = ambulance.hospital
+    ? await Hospital.findById(ambulance.hospital).populate('administrators', 'name phone')
+    : null;
+
+  const recipients = [ambulance.driver, ...(hospital ? hospital.administrators : [])]
+    .filter(user => user && user.phone);
+
+  await Promise.all(recipients.map(user => sendAlert(user.phone, message)));
+
+  publish([
+    ROOMS.admins,
+    ambulance.hospital && ROOMS.hospital(ambulance.hospital),
+    ambulance.driver && ROOMS.user(ambulance.driver._id)
+  ], event, {
+    ambulanceId: ambulance._id,
+    registrationNumber: ambulance.registrationNumber,
+    hospitalId: ambulance.hospital || null,
+    lastLocationAt: ambulance.currentLocation.updatedAt,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Flag ambulances that stopped reporting their location and take long-silent
+ * available ambulances offline. Each ambulance is only alerted once per silence.
+ * @returns {Promise<Object>} {stale, offline} number of ambulances affected
+ */
+const checkStaleLocations = async () => {
+  const now = new Date();
+  const staleCutoff = new Date(now.getTime() - STALE_LOCATION_SECONDS * 1000);
+  const offlineCutoff = new Date(now.getTime() - OFFLINE_GRACE_SECONDS * 1000);
+  let stale = 0;
+  let offline = 0;
+
+  const silent = await Ambulance.find({
+    status: { $in: ['available', 'busy'] },
+    locationStaleSince: null,
+    'currentLocation.updatedAt': { $lt: staleCutoff }
+  }).populate('driver', 'name phone');
+
+  for (const ambulance of silent) {
+    // Skip it if a location update arrived in the meantime
+    const result = await Ambulance.updateOne(
+      { _id: ambulance._id, locationStaleSince: null, 'currentLocation.updatedAt': { $lt: staleCutoff } },
+      { locationStaleSince: now }
+    );
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    stale += 1;
+    await alertAmbulanceContacts(
+      ambulance,
+      EVENTS.AMBULANCE_LOCATION_STALE,
+      `Ambulance ${ambulance.registrationNumber} has not reported its location since ` +
+        `${ambulance.currentLocation.updatedAt.toISOString()}. It will not be dispatched until it reports again.`
+    );
+  }
+
+  // Busy ambulances stay busy so their emergency is not orphaned, they are only flagged
+  const abandoned = await Ambulance.find({
+    status: 'available',
+    pendingOffer: null,
+    'currentLocation.updatedAt': { $lt: offlineCutoff }
+  }).populate('driver', 'name phone');
+
+  for (const ambulance of abandoned) {
+    const result = await Ambulance.updateOne(
+      { _id: ambulance._id, status: 'available', pendingOffer: null, 'currentLocation.updatedAt': { $lt: offlineCutoff } },
+      { status: 'offline' }
+    );
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    offline += 1;
+    await alertAmbulanceContacts(
+      ambulance,
+      EVENTS.AMBULANCE_MARKED_OFFLINE,
+      `Ambulance ${ambulance.registrationNumber} has been marked offline after ` +
+        `${Math.round(OFFLINE_GRACE_SECONDS / 60)} minutes without a location update.`
+    );
+  }
+
+  return { stale, offline };
+};
+
+/**
+ * Start the background job that watches for stale ambulance locations
+ */
+const startLocationWatchdog = () => {
+  if (watchdogTimer) {
+    return;
+  }
+
+  watchdogTimer = setInterval(() => {
+    checkStaleLocations()
+      .catch(err => console.error('Location watchdog error:', err));
+  }, LOCATION_WATCHDOG_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+  checkStaleLocations,
+  startLocationWatchdog
+};
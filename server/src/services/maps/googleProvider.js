@@ -0,0 +1,149 @@
+const { Client } = require('@googlemaps/google-maps-services-js');
+const { GOOGLE_MAPS_API_KEY, MAPS_REQUEST_TIMEOUT_MS } = require('../../config/maps');
+
+/**
+ * Google Maps Platform provider (Directions, Distance Matrix, Places and Geocoding APIs)
+ */
+
+// Initialize Google Maps client
+const mapsClient = new Client({});
+
+const toParam = (coordinates) => `${coordinates.lat},${coordinates.lng}`;
+
+const requireKey = () => {
+  if (!GOOGLE_MAPS_API_KEY) {
+    throw new Error('Google Maps API key is not configured');
+  }
+};
+
+const checkStatus = (response, operation) => {
+  if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
+    throw new Error(`${operation} failed: ${response.data.status}`);
+  }
+};
+
+/**
+ * Calculate optimized route between two points considering traffic
+ */
+const route = async (origin, destination) => {
+  requireKey();
+
+  const response = await mapsClient.directions({
+    params: {
+      origin: toParam(origin),
+      destination: toParam(destination),
+      mode: 'driving',
+      departure_time: 'now',
+      traffic_model: 'best_guess',
+      key: GOOGLE_MAPS_API_KEY
+    },
+    timeout: MAPS_REQUEST_TIMEOUT_MS
+  });
+
+  checkStatus(response, 'Route calculation');
+  if (response.data.routes.length === 0) {
+    throw new Error('Route calculation failed: no route found');
+  }
+
+  const [firstRoute] = response.data.routes;
+  const leg = firstRoute.legs[0];
+
+  return {
+    distance: leg.distance,
+    duration: leg.duration,
+    durationInTraffic: leg.duration_in_traffic,
+    polyline: firstRoute.overview_polyline ? firstRoute.overview_polyline.points : null,
+    startLocation: leg.start_location,
+    endLocation: leg.end_location,
+    source: 'route'
+  };
+};
+
+/**
+ * Travel distance and time from every origin to every destination
+ */
+const distanceMatrix = async (origins, destinations) => {
+  requireKey();
+
+  const response = await mapsClient.distancematrix({
+    params: {
+      origins: origins.map(toParam),
+      destinations: destinations.map(toParam),
+      mode: 'driving',
+      departure_time: 'now',
+      key: GOOGLE_MAPS_API_KEY
+    },
+    timeout: MAPS_REQUEST_TIMEOUT_MS
+  });
+
+  checkStatus(response, 'Distance matrix');
+
+  return response.data.rows.map(row =>
+    row.elements.map(element => (element.status === 'OK'
+      ? {
+        distance: element.distance,
+        duration: element.duration_in_traffic || element.duration,
+        source: 'route'
+      }
+      : null))
+  );
+};
+
+/**
+ * Places of a given type around a location
+ */
+const nearbyPlaces = async (location, radius, type) => {
+  requireKey();
+
+  const response = await mapsClient.placesNearby({
+    params: {
+      location: toParam(location),
+      radius,
+      type,
+      key: GOOGLE_MAPS_API_KEY
+    },
+    timeout: MAPS_REQUEST_TIMEOUT_MS
+  });
+
+  checkStatus(response, 'Nearby search');
+
+  return response.data.results.map(place => ({
+    name: place.name,
+    address: place.vicinity,
+    location: place.geometry.location,
+    phone: place.formatted_phone_number || '',
+    rating: place.rating || 0,
+    ratingCount: place.user_ratings_total || 0,
+    placeId: place.place_id
+  }));
+};
+
+/**
+ * Coordinates for a free-text address
+ */
+const geocode = async (address) => {
+  requireKey();
+
+  const response = await mapsClient.geocode({
+    params: {
+      address,
+      key: GOOGLE_MAPS_API_KEY
+    },
+    timeout: MAPS_REQUEST_TIMEOUT_MS
+  });
+
+  checkStatus(response, 'Geocoding');
+
+  return response.data.results.map(result => ({
+    address: result.formatted_address,
+    location: result.geometry.location
+  }));
+};
+
+module.exports = {
+  name: 'google',
+  route,
+  distanceMatrix,
+  nearbyPlaces,
+  geocode
+};
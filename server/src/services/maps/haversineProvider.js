@@ -0,0 +1,42 @@
+const { AVERAGE_SPEED_KMH } = require('../../config/dispatch');
+const { haversineDistance, formatDistance, formatDuration } = require('../../utils/geoUtils');
+
+/**
+ * Offline provider: straight-line distances driven at the average ambulance speed.
+ * Used when no routing service is configured and whenever the configured one fails.
+ */
+
+const METERS_PER_SECOND = AVERAGE_SPEED_KMH * 1000 / 3600;
+
+const estimate = (origin, destination) => {
+  const meters = haversineDistance(origin, destination);
+  return {
+    distance: formatDistance(meters),
+    duration: formatDuration(meters / METERS_PER_SECOND),
+    source: 'estimate'
+  };
+};
+
+const route = async (origin, destination) => ({
+  ...estimate(origin, destination),
+  polyline: null,
+  startLocation: origin,
+  endLocation: destination
+});
+
+const distanceMatrix = async (origins, destinations) =>
+  origins.map(origin => destinations.map(destination => estimate(origin, destination)));
+
+// There is no places or address data offline
+const nearbyPlaces = async () => [];
+
+const geocode = async () => [];
+
+module.exports = {
+  name: 'haversine',
+  estimate,
+  route,
+  distanceMatrix,
+  nearbyPlaces,
+  geocode
+};
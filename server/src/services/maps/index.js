@@ -0,0 +1,104 @@
+const { MAPS_PROVIDERS, MAPS_PROVIDER } = require('../../config/maps');
+const googleProvider = require('./googleProvider');
+const osrmProvider = require('./osrmProvider');
+const haversineProvider = require('./haversineProvider');
+
+/**
+ * Routing and geocoding entry point. Every caller goes through these functions so the
+ * provider can be swapped by configuration; when the configured provider fails, routes
+ * and distances fall back to straight-line estimates and searches return no results.
+ *
+ * Every provider implements:
+ *   route(origin, destination) -> {distance, duration, durationInTraffic?, polyline, startLocation, endLocation, source}
+ *   distanceMatrix(origins, destinations) -> rows of {distance, duration, source} (null when unreachable)
+ *   nearbyPlaces(location, radius, type) -> [{name, address, location, phone, rating, ratingCount, placeId}]
+ *   geocode(address) -> [{address, location}]
+ * Coordinates are {lat, lng}, distances and durations are {text, value} in meters and seconds.
+ */
+
+const providers = {
+  google: googleProvider,
+  osrm: osrmProvider,
+  haversine: haversineProvider
+};
+
+if (!MAPS_PROVIDERS.includes(MAPS_PROVIDER)) {
+  console.warn(`Unknown maps provider "${MAPS_PROVIDER}", using straight-line estimates`);
+}
+
+const provider = providers[MAPS_PROVIDER] || haversineProvider;
+
+/**
+ * Call the configured provider, falling back to the offline provider if it fails
+ */
+const callProvider = async (method, ...args) => {
+  try {
+    return await provider[method](...args);
+  } catch (error) {
+    if (provider === haversineProvider) {
+      throw error;
+    }
+    console.error(`Maps provider ${provider.name} failed on ${method}, falling back: ${error.message}`);
+    return haversineProvider[method](...args);
+  }
+};
+
+/**
+ * Get the name of the active provider
+ * @returns {String} google, osrm or haversine
+ */
+const getProviderName = () => provider.name;
+
+/**
+ * Calculate the driving route between two points
+ * @param {Object} origin - Origin coordinates {lat, lng}
+ * @param {Object} destination - Destination coordinates {lat, lng}
+ * @returns {Promise<Object>} Route with distance, duration, encoded polyline and source (route|estimate)
+ */
+const calculateRoute = (origin, destination) => callProvider('route', origin, destination);
+
+/**
+ * Get travel distance and time from each origin to each destination
+ * @param {Array} origins - Origin coordinates [{lat, lng}]
+ * @param {Array} destinations - Destination coordinates [{lat, lng}]
+ * @returns {Promise<Array>} rows[origin][destination] of {distance, duration, source}
+ */
+const getDistanceMatrix = async (origins, destinations) => {
+  if (origins.length === 0 || destinations.length === 0) {
+    return origins.map(() => []);
+  }
+
+  const rows = await callProvider('distanceMatrix', origins, destinations);
+
+  // Pairs the provider could not route get a straight-line estimate
+  return rows.map((row, i) =>
+    row.map((cell, j) => cell || haversineProvider.estimate(origins[i], destinations[j]))
+  );
+};
+
+/**
+ * Find places of a type (e.g. hospital) around a location
+ * @param {Object} location - Location coordinates {lat, lng}
+ * @param {number} radius - Search radius in meters
+ * @param {String} type - Place type
+ * @returns {Promise<Array>} Places tagged with the provider they came from
+ */
+const getNearbyPlaces = async (location, radius = 5000, type = 'hospital') => {
+  const places = await callProvider('nearbyPlaces', location, radius, type);
+  return places.map(place => ({ ...place, source: provider.name }));
+};
+
+/**
+ * Look up coordinates for an address
+ * @param {String} address - Free-text address
+ * @returns {Promise<Array>} Matches, best first
+ */
+const geocode = (address) => callProvider('geocode', address);
+
+module.exports = {
+  getProviderName,
+  calculateRoute,
+  getDistanceMatrix,
+  getNearbyPlaces,
+  geocode
+};
@@ -0,0 +1,133 @@
+const { OSRM_URL, NOMINATIM_URL, MAPS_REQUEST_TIMEOUT_MS } = require('../../config/maps');
+const { haversineDistance, formatDistance, formatDuration } = require('../../utils/geoUtils');
+
+/**
+ * OSRM routing with Nominatim search, e.g. self-hosted servers for offline deployments
+ */
+
+const METERS_PER_DEGREE = 111320;
+
+const requestJson = async (url) => {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'ambulance-booking-system' },
+    signal: AbortSignal.timeout(MAPS_REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Request to ${new URL(url).host} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// OSRM takes lng,lat pairs separated by semicolons
+const toCoordinates = (points) => points.map(point => `${point.lng},${point.lat}`).join(';');
+
+const checkCode = (data, operation) => {
+  if (data.code !== 'Ok') {
+    throw new Error(`${operation} failed: ${data.code}`);
+  }
+};
+
+const toLocation = (waypoint) => ({ lat: waypoint.location[1], lng: waypoint.location[0] });
+
+/**
+ * Fastest driving route between two points
+ */
+const route = async (origin, destination) => {
+  const data = await requestJson(
+    `${OSRM_URL}/route/v1/driving/${toCoordinates([origin, destination])}?overview=full&geometries=polyline`
+  );
+
+  checkCode(data, 'Route calculation');
+  const [firstRoute] = data.routes;
+
+  return {
+    distance: formatDistance(firstRoute.distance),
+    duration: formatDuration(firstRoute.duration),
+    polyline: firstRoute.geometry,
+    startLocation: toLocation(data.waypoints[0]),
+    endLocation: toLocation(data.waypoints[data.waypoints.length - 1]),
+    source: 'route'
+  };
+};
+
+/**
+ * Travel distance and time from every origin to every destination
+ */
+const distanceMatrix = async (origins, destinations) => {
+  const sources = origins.map((_, index) => index).join(';');
+  const targets = destinations.map((_, index) => origins.length + index).join(';');
+
+  const data = await requestJson(
+    `${OSRM_URL}/table/v1/driving/${toCoordinates([...origins, ...destinations])}` +
+      `?sources=${sources}&destinations=${targets}&annotations=duration,distance`
+  );
+
+  checkCode(data, 'Distance matrix');
+
+  return data.durations.map((row, i) =>
+    row.map((seconds, j) => (seconds === null
+      ? null
+      : {
+        distance: formatDistance(data.distances[i][j]),
+        duration: formatDuration(seconds),
+        source: 'route'
+      }))
+  );
+};
+
+/**
+ * Places matching a type around a location, closest first
+ */
+const nearbyPlaces = async (location, radius, type) => {
+  const latDelta = radius / METERS_PER_DEGREE;
+  const lngDelta = radius / (METERS_PER_DEGREE * Math.cos((location.lat * Math.PI) / 180));
+  const viewbox = [
+    location.lng - lngDelta,
+    location.lat + latDelta,
+    location.lng + lngDelta,
+    location.lat - latDelta
+  ].join(',');
+
+  const results = await requestJson(
+    `${NOMINATIM_URL}/search?format=jsonv2&bounded=1&limit=20` +
+      `&q=${encodeURIComponent(type)}&viewbox=${viewbox}`
+  );
+
+  return results
+    .map(place => ({
+      name: place.name || place.display_name.split(',')[0],
+      address: place.display_name,
+      location: { lat: parseFloat(place.lat), lng: parseFloat(place.lon) },
+      phone: '',
+      rating: 0,
+      ratingCount: 0,
+      placeId: `osm:${place.osm_type}/${place.osm_id}`
+    }))
+    .map(place => ({ ...place, distance: haversineDistance(location, place.location) }))
+    .filter(place => place.distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Coordinates for a free-text address
+ */
+const geocode = async (address) => {
+  const results = await requestJson(
+    `${NOMINATIM_URL}/search?format=jsonv2&limit=5&q=${encodeURIComponent(address)}`
+  );
+
+  return results.map(result => ({
+    address: result.display_name,
+    location: { lat: parseFloat(result.lat), lng: parseFloat(result.lon) }
+  }));
+};
+
+module.exports = {
+  name: 'osrm',
+  route,
+  distanceMatrix,
+  nearbyPlaces,
+  geocode
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { Jimp } = require('jimp');
+const { ATTACHMENT_TYPES, THUMBNAIL_SIZE } = require('../config/storage');
+const { createError } = require('../middlewares/errorHandler');
+const { putFile, removeFile, getFileUrl } = require('./storage');
+
+// Formats the thumbnailer can decode; other images are stored without a thumbnail
+const THUMBNAIL_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Work out the attachment type of an uploaded file and check its size limit
+ * @param {Object} file - Uploaded file {originalname, mimetype, size}
+ * @returns {String} image, audio or document
+ */
+const classifyFile = (file) => {
+  const type = Object.keys(ATTACHMENT_TYPES)
+    .find(name => Object.keys(ATTACHMENT_TYPES[name].mimeTypes).includes(file.mimetype));
+  if (!type) {
+    throw createError(415, `File type ${file.mimetype} is not supported`);
+  }
+
+  const { maxBytes } = ATTACHMENT_TYPES[type];
+  if (file.size > maxBytes) {
+    throw createError(413, `${file.originalname} is larger than the ${maxBytes / 1024 / 1024} MB limit for ${type} files`);
+  }
+
+  return type;
+};
+
+/**
+ * Scale an image down to a JPEG thumbnail
+ * @param {Object} file - Uploaded image
+ * @returns {Promise<Buffer|null>} Thumbnail, or null when the format is not supported
+ */
+const createThumbnail = async (file) => {
+  if (!THUMBNAIL_MIME_TYPES.includes(file.mimetype)) {
+    return null;
+  }
+
+  try {
+    const image = await Jimp.read(file.buffer);
+    image.scaleToFit({ w: THUMBNAIL_SIZE, h: THUMBNAIL_SIZE });
+    return await image.getBuffer('image/jpeg', { quality: 80 });
+  } catch (error) {
+    throw createError(400, `${file.originalname} is not a valid image`);
+  }
+};
+
+/**
+ * Delete the stored files of attachments
+ * @param {Array} attachments - Attachments with storage keys
+ */
+const removeAttachments = async (attachments) => {
+  const keys = attachments.flatMap(attachment => [attachment.key, attachment.thumbnailKey]).filter(Boolean);
+  await Promise.all(keys.map(key => removeFile(key)
+    .catch(err => console.error(`Error removing media ${key}:`, err.message))));
+};
+
+/**
+ * Check and store uploaded files for a message on an emergency. Either every file is
+ * stored or none is.
+ * @param {String} emergencyId - Emergency the message belongs to
+ * @param {Array} files - Uploaded files {originalname, mimetype, size, buffer}
+ * @returns {Promise<Array>} Attachments {type, key, thumbnailKey, mimeType, size, name}
+ */
+const storeAttachments = async (emergencyId, files = []) => {
+  const types = files.map(classifyFile);
+  const attachments = [];
+
+  try {
+    for (const [index, file] of files.entries()) {
+      // The stored name never comes from the client, so a file is always served as its checked type
+      const base = `messages/${emergencyId}/${crypto.randomUUID()}`;
+      const attachment = {
+        type: types[index],
+        key: `${base}${ATTACHMENT_TYPES[types[index]].mimeTypes[file.mimetype]}`,
+        mimeType: file.mimetype,
+        size: file.size,
+        name: file.originalname
+      };
+
+      const thumbnail = attachment.type === 'image' ? await createThumbnail(file) : null;
+
+      await putFile(attachment.key, file.buffer, file.mimetype);
+      attachments.push(attachment);
+
+      if (thumbnail) {
+        attachment.thumbnailKey = `${base}-thumb.jpg`;
+        await putFile(attachment.thumbnailKey, thumbnail, 'image/jpeg');
+      }
+    }
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+
+  return attachments;
+};
+
+/**
+ * Give each stored attachment of a message a fresh, expiring URL
+ * @param {Object} message - Message document or lean object
+ * @returns {Promise<Object>} Plain message with url and thumbnailUrl on its attachments
+ */
+const signAttachments = async (message) => {
+  const plain = typeof message.toObject === 'function' ? message.toObject() : message;
+
+  plain.attachments = await Promise.all((plain.attachments || []).map(async (attachment) => {
+    if (!attachment.key) {
+      return attachment;
+    }
+
+    const { key, thumbnailKey, ...rest } = attachment;
+    return {
+      ...rest,
+      url: await getFileUrl(key),
+      thumbnailUrl: thumbnailKey ? await getFileUrl(thumbnailKey) : null
+    };
+  }));
+
+  return plain;
+};
+
+module.exports = {
+  storeAttachments,
+  removeAttachments,
+  signAttachments
+};
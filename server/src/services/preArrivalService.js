@@ -0,0 +1,153 @@
+const Emergency = require('../models/Emergency');
+const Hospital = require('../models/Hospital');
+const { sendAlert } = require('../utils/twilioUtils');
+const { sendEmail } = require('../utils/emailUtils');
+const { EVENTS, ROOMS, publish } = require('./realtime');
+
+// What the receiving hospital needs to prepare for a patient
+const loadIncoming = (filter) => Emergency.find(filter)
+  .select('patient casualtyLabel ambulance hospital status severity emergencyType symptoms medicalNotes eta timeline')
+  .populate('patient', 'name healthInfo')
+  .populate('ambulance', 'registrationNumber type');
+
+/**
+ * Build the pre-arrival packet sent to a receiving hospital
+ * @param {Object} emergency - Emergency with patient and ambulance populated
+ * @returns {Object} Packet
+ */
+const buildPreArrivalPacket = (emergency) => {
+  const pickup = emergency.timeline.find(entry => entry.status === 'patient_picked_up');
+  const healthInfo = emergency.patient && emergency.patient.healthInfo;
+
+  return {
+    emergencyId: emergency._id,
+    hospitalId: emergency.hospital,
+    status: emergency.status,
+    severity: emergency.severity,
+    emergencyType: emergency.emergencyType,
+    symptoms: emergency.symptoms,
+    medicalNotes: emergency.medicalNotes,
+    patient: {
+      name: emergency.patient ? emergency.patient.name : emergency.casualtyLabel || 'Unidentified casualty',
+      healthInfo: {
+        bloodType: healthInfo && healthInfo.bloodType,
+        allergies: healthInfo ? healthInfo.allergies : [],
+        medicalConditions: healthInfo ? healthInfo.medicalConditions : [],
+        medications: healthInfo ? healthInfo.medications : []
+      }
+    },
+    ambulance: emergency.ambulance && {
+      _id: emergency.ambulance._id,
+      registrationNumber: emergency.ambulance.registrationNumber,
+      type: emergency.ambulance.type
+    },
+    eta: emergency.eta && emergency.eta.leg ? emergency.eta : null,
+    pickedUpAt: pickup ? pickup.time : null
+  };
+};
+
+// Soonest arrival first; patients without an estimate go last
+const byArrival = (a, b) => {
+  const at = (packet) => (packet.eta && packet.eta.arrivalAt ? new Date(packet.eta.arrivalAt).getTime() : Infinity);
+  return at(a) - at(b);
+};
+
+/**
+ * Short alert text for SMS
+ * @param {Object} packet - Pre-arrival packet
+ * @returns {String}
+ */
+const formatAlert = (packet) => {
+  const { healthInfo } = packet.patient;
+  const parts = [
+    `INCOMING PATIENT (${packet.severity.toUpperCase()}, ${packet.emergencyType})` +
+      (packet.ambulance ? ` by ambulance ${packet.ambulance.registrationNumber}` : ''),
+    packet.eta && `ETA ${packet.eta.duration.text}`,
+    healthInfo.bloodType && `Blood type ${healthInfo.bloodType}`,
+    healthInfo.allergies.length > 0 && `Allergies: ${healthInfo.allergies.join(', ')}`
+  ];
+
+  return parts.filter(Boolean).join('. ');
+};
+
+/**
+ * Full alert text for email
+ * @param {Object} packet - Pre-arrival packet
+ * @returns {String}
+ */
+const formatAlertEmail = (packet) => {
+  const { healthInfo } = packet.patient;
+  const list = (items) => (items && items.length > 0 ? items.join(', ') : 'none recorded');
+
+  return [
+    formatAlert(packet),
+    '',
+    `Patient: ${packet.patient.name}`,
+    `Symptoms: ${list(packet.symptoms)}`,
+    `Medical notes: ${packet.medicalNotes || 'none'}`,
+    `Blood type: ${healthInfo.bloodType || 'unknown'}`,
+    `Allergies: ${list(healthInfo.allergies)}`,
+    `Medical conditions: ${list(healthInfo.medicalConditions)}`,
+    `Medications: ${list(healthInfo.medications)}`,
+    packet.eta ? `Expected arrival: ${new Date(packet.eta.arrivalAt).toISOString()}` : 'Expected arrival: unknown'
+  ].join('\n');
+};
+
+/**
+ * Send the alert to each of the hospital's administrators by SMS and email
+ * @param {Object} hospital - Hospital with administrators populated
+ * @param {Object} packet - Pre-arrival packet
+ */
+const notifyAdministrators = async (hospital, packet) => {
+  const text = formatAlert(packet);
+  const body = formatAlertEmail(packet);
+
+  await Promise.all(hospital.administrators.flatMap(user => [
+    user.phone && sendAlert(user.phone, text),
+    user.email && sendEmail(user.email, `Incoming ${packet.severity} patient`, body)
+  ].filter(Boolean)));
+};
+
+/**
+ * Warn the receiving hospital that a patient is on the way: the packet goes to the
+ * hospital's room and its administrators get it by SMS and email. Later ETA changes
+ * reach the hospital room as eta-updated events.
+ * @param {Object} emergency - Emergency that started transporting
+ * @returns {Promise<Object|null>} The packet, or null when there is no receiving hospital
+ */
+const sendPreArrivalAlert = async (emergency) => {
+  if (!emergency.hospital) {
+    return null;
+  }
+
+  const [incoming] = await loadIncoming({ _id: emergency._id });
+  const hospital = await Hospital.findById(emergency.hospital._id || emergency.hospital)
+    .populate('administrators', 'name phone email');
+  if (!incoming || !hospital) {
+    return null;
+  }
+
+  const packet = buildPreArrivalPacket(incoming);
+  publish([ROOMS.hospital(hospital._id)], EVENTS.PRE_ARRIVAL_ALERT, packet);
+
+  // SMS and email can be slow, they are not waited for
+  notifyAdministrators(hospital, packet)
+    .catch(err => console.error('Pre-arrival notification error:', err));
+
+  return packet;
+};
+
+/**
+ * List the patients being transported to a hospital, soonest arrival first
+ * @param {String} hospitalId - Hospital ID
+ * @returns {Promise<Array>} Pre-arrival packets
+ */
+const getIncomingPatients = async (hospitalId) => {
+  const emergencies = await loadIncoming({ hospital: hospitalId, status: 'transporting' });
+  return emergencies.map(buildPreArrivalPacket).sort(byArrival);
+};
+
+module.exports = {
+  sendPreArrivalAlert,
+  getIncomingPatients
+};
@@ -0,0 +1,77 @@
+/**
+ * Real-time event catalogue. Every socket event the server sends or accepts is listed here;
+ * nothing else should emit or listen for event names of its own.
+ *
+ * Rooms
+ *   admins           every connected admin (joined on connect)
+ *   user:<userId>    one user's devices, the channel drivers receive their offers on (joined on connect)
+ *   hospital:<id>    administrators and ER staff of a hospital (joined on connect)
+ *   emergency:<id>   everyone following an emergency (JOIN, same access as GET /api/emergencies/:id)
+ *   incident:<id>    incident commander and admins (JOIN)
+ */
+
+// Server -> client
+const EVENTS = {
+  // admins: {emergencyId, location, severity, emergencyType}
+  EMERGENCY_CREATED: 'new-emergency',
+  // emergency audience: {emergencyId, status, eta, autoDetected, timestamp}
+  EMERGENCY_STATUS_UPDATED: 'emergency-status-updated',
+  // emergency room: {emergencyId, status, geofence, distance, detectedAt}
+  STATUS_CHANGE_PROPOSED: 'status-change-proposed',
+  // emergency audience: {emergencyId, status, eta}
+  ETA_UPDATED: 'eta-updated',
+  // driver, admins, emergency room: {emergencyId, ambulanceId, hospitalId, expiresAt}
+  AMBULANCE_OFFERED: 'ambulance-offered',
+  // driver, emergency audience: {emergencyId, ambulanceId, hospitalId, eta}
+  AMBULANCE_ASSIGNED: 'ambulance-assigned',
+  // admins, ambulance hospital, emergency room: {ambulanceId, emergencyId, location, eta, transition}
+  AMBULANCE_LOCATION_UPDATED: 'ambulance-location-updated',
+  // admins, ambulance hospital, driver: {ambulanceId, registrationNumber, hospitalId, lastLocationAt, timestamp}
+  AMBULANCE_LOCATION_STALE: 'ambulance-location-stale',
+  AMBULANCE_MARKED_OFFLINE: 'ambulance-marked-offline',
+  // admins, driver: {emergencyId, ambulanceId, position, priority, waitingMinutes}
+  QUEUED_EMERGENCY_AVAILABLE: 'queued-emergency-available',
+  // admins, commander: {incidentId, title, location}
+  INCIDENT_CREATED: 'new-incident',
+  // incident room, admins: {incidentId, event, emergencyId, ...details, timestamp}
+  INCIDENT_UPDATED: 'incident-updated',
+  // emergency room, sender, receiver: the message; the receiver acknowledges to mark it delivered
+  MESSAGE_CREATED: 'new-message',
+  // emergency room, senders: {emergencyId, messageIds, status, readAt}
+  MESSAGE_STATUS_UPDATED: 'message-status-updated',
+  // emergency audience: {emergencyId, handover}
+  HANDOVER_SUBMITTED: 'handover-submitted',
+  // emergency audience: {emergencyId, acknowledgedBy, acknowledgedAt, notes}
+  HANDOVER_ACKNOWLEDGED: 'handover-acknowledged',
+  // receiving hospital: {emergencyId, hospitalId, severity, emergencyType, symptoms, patient: {name, healthInfo},
+  // ambulance, eta, pickedUpAt}; later ETA changes arrive as eta-updated
+  PRE_ARRIVAL_ALERT: 'pre-arrival-alert',
+  // admins, hospital: {hospitalId, name, unit, reason, capacity: {total, held, available}, timestamp}
+  // where reason is reserved, released, consumed, expired or updated
+  HOSPITAL_CAPACITY_UPDATED: 'hospital-capacity-updated',
+  // admins, hospital: {hospitalId, name, diversion: {_id, specialties, startsAt, endsAt, reason}, timestamp};
+  // an empty specialties list is a full divert, ended also says whether it was cancelled early
+  HOSPITAL_DIVERSION_STARTED: 'hospital-diversion-started',
+  HOSPITAL_DIVERSION_ENDED: 'hospital-diversion-ended'
+};
+
+// Client -> server, each takes an optional acknowledgement callback
+const CLIENT_EVENTS = {
+  // room name -> {success}
+  JOIN: 'join',
+  LEAVE: 'leave',
+  // assigned driver: {emergencyId, lat, lng, speed, heading} -> {success, data: {eta, transition}};
+  // without emergencyId any driver just updates their ambulance's position
+  UPDATE_LOCATION: 'update-location',
+  // same rules as PUT /api/emergencies/:id/status: {emergencyId, status, notes} -> {success, data: {status, eta}}
+  UPDATE_EMERGENCY_STATUS: 'update-emergency-status',
+  // offered driver: {emergencyId} -> {success, data}
+  ACCEPT_OFFER: 'accept-offer',
+  // offered driver: {emergencyId, reason} -> {success, data}
+  DECLINE_OFFER: 'decline-offer'
+};
+
+module.exports = {
+  EVENTS,
+  CLIENT_EVENTS
+};
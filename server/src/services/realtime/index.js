@@ -0,0 +1,107 @@
+const { EVENTS, CLIENT_EVENTS } = require('./events');
+
+/**
+ * Publishing side of the real-time layer. Routes and services publish through these
+ * functions to scoped rooms; the socket server itself is set up in config/socket.js.
+ */
+
+let io = null;
+
+// Room names, see the catalogue in ./events.js
+const ROOMS = {
+  admins: 'admins',
+  user: (userId) => `user:${userId}`,
+  hospital: (hospitalId) => `hospital:${hospitalId}`,
+  emergency: (emergencyId) => `emergency:${emergencyId}`,
+  incident: (incidentId) => `incident:${incidentId}`
+};
+
+// Accept populated documents as well as plain ids
+const idOf = (ref) => (ref._id || ref).toString();
+
+/**
+ * Register the socket server once it has been created
+ * @param {Object} server - Socket.io server instance
+ */
+const setIO = (server) => {
+  io = server;
+};
+
+/**
+ * Send an event to a set of rooms; each connected socket receives it once
+ * @param {Array} rooms - Room names, empty entries are ignored
+ * @param {String} event - Event name from the catalogue
+ * @param {Object} payload - Event data
+ * @param {Array} except - Rooms whose sockets should not receive it
+ */
+const publish = (rooms, event, payload, except = []) => {
+  const targets = [...new Set(rooms.filter(Boolean))];
+  if (!io || targets.length === 0) {
+    return;
+  }
+
+  io.to(targets).except(except.filter(Boolean)).emit(event, payload);
+};
+
+/**
+ * Send an event to one room and wait for its sockets to acknowledge it
+ * @param {String} room - Room name
+ * @param {String} event - Event name from the catalogue
+ * @param {Object} payload - Event data
+ * @param {Number} timeout - Milliseconds to wait for acknowledgements
+ * @returns {Promise<Number>} Number of sockets that acknowledged in time
+ */
+const publishWithAck = (room, event, payload, timeout) => new Promise((resolve) => {
+  if (!io) {
+    return resolve(0);
+  }
+
+  // On timeout the sockets that did answer are still listed in responses
+  io.to(room).timeout(timeout).emit(event, payload, (err, responses) => {
+    resolve((responses || []).length);
+  });
+});
+
+/**
+ * Rooms of everyone with an interest in an emergency: its followers, the patient,
+ * the requester, the receiving hospital and admins
+ * @param {Object} emergency - Emergency, references may be populated
+ * @returns {Array} Room names
+ */
+const emergencyRooms = (emergency) => [
+  ROOMS.emergency(emergency._id),
+  ROOMS.admins,
+  emergency.patient && ROOMS.user(idOf(emergency.patient)),
+  emergency.requestedBy && ROOMS.user(idOf(emergency.requestedBy)),
+  emergency.hospital && ROOMS.hospital(idOf(emergency.hospital))
+];
+
+/**
+ * Send an event to everyone with an interest in an emergency
+ * @param {Object} emergency - Emergency document
+ * @param {String} event - Event name from the catalogue
+ * @param {Object} payload - Event data
+ * @param {Array} extraRooms - Further rooms, e.g. the driver's
+ */
+const publishToEmergency = (emergency, event, payload, extraRooms = []) =>
+  publish([...emergencyRooms(emergency), ...extraRooms], event, payload);
+
+/**
+ * Send an event to an incident's followers and admins
+ * @param {String} incidentId - Incident ID
+ * @param {String} event - Event name from the catalogue
+ * @param {Object} payload - Event data
+ */
+const publishToIncident = (incidentId, event, payload) =>
+  publish([ROOMS.incident(idOf(incidentId)), ROOMS.admins], event, payload);
+
+module.exports = {
+  EVENTS,
+  CLIENT_EVENTS,
+  ROOMS,
+  setIO,
+  publish,
+  publishWithAck,
+  publishToEmergency,
+  publishToIncident
+};
@@ -0,0 +1,58 @@
+const { STORAGE_DRIVERS, STORAGE_DRIVER, MEDIA_URL_TTL_SECONDS } = require('../../config/storage');
+const localStorage = require('./localStorage');
+const s3Storage = require('./s3Storage');
+
+/**
+ * Media storage entry point. Callers go through these functions so the backend can be
+ * swapped by configuration.
+ *
+ * Every driver implements:
+ *   put(key, buffer, contentType)
+ *   remove(key)
+ *   getSignedUrl(key, expiresIn) -> URL that stops working after expiresIn seconds
+ */
+
+const drivers = {
+  local: localStorage,
+  s3: s3Storage
+};
+
+if (!STORAGE_DRIVERS.includes(STORAGE_DRIVER)) {
+  console.warn(`Unknown storage driver "${STORAGE_DRIVER}", using local disk`);
+}
+
+const driver = drivers[STORAGE_DRIVER] || localStorage;
+
+/**
+ * Get the name of the active driver
+ * @returns {String} local or s3
+ */
+const getDriverName = () => driver.name;
+
+/**
+ * Store a file
+ * @param {String} key - Storage key, e.g. messages/<emergencyId>/<id>.jpg
+ * @param {Buffer} buffer - File contents
+ * @param {String} contentType - MIME type
+ */
+const putFile = (key, buffer, contentType) => driver.put(key, buffer, contentType);
+
+/**
+ * Delete a file, ignoring files that do not exist
+ * @param {String} key - Storage key
+ */
+const removeFile = (key) => driver.remove(key);
+
+/**
+ * Get a URL for a file that expires after the configured time
+ * @param {String} key - Storage key
+ * @returns {Promise<String>} Signed URL
+ */
+const getFileUrl = (key) => driver.getSignedUrl(key, MEDIA_URL_TTL_SECONDS);
+
+module.exports = {
+  getDriverName,
+  putFile,
+  removeFile,
+  getFileUrl
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { MEDIA_STORAGE_DIR } = require('../../config/storage');
+
+/**
+ * Local disk storage. Files are served by GET /api/media/<key> with a short-lived token
+ * bound to the key, so a URL cannot be reused for another file or after it expires.
+ */
+
+const name = 'local';
+
+// Resolve a key inside the storage directory, refusing anything that escapes it
+const resolveKey = (key) => {
+  const filePath = path.resolve(MEDIA_STORAGE_DIR, key);
+  if (!filePath.startsWith(path.resolve(MEDIA_STORAGE_DIR) + path.sep)) {
+    throw new Error('Invalid media key');
+  }
+  return filePath;
+};
+
+const put = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+const getSignedUrl = async (key, expiresIn) => {
+  const token = jwt.sign({ key, purpose: 'media' }, process.env.JWT_SECRET, { expiresIn });
+  return `/api/media/${key}?token=${token}`;
+};
+
+/**
+ * Check a media token was issued for this key and has not expired
+ * @param {String} key - Storage key from the URL
+ * @param {String} token - Token from the URL
+ * @returns {Boolean}
+ */
+const verifyToken = (key, token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'media' && decoded.key === key;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Open a stored file for streaming
+ * @param {String} key - Storage key
+ * @returns {Promise<Object|null>} {stream, size} or null when the file does not exist
+ */
+const open = async (key) => {
+  const filePath = resolveKey(key);
+  try {
+    const stats = await fs.promises.stat(filePath);
+    return { stream: fs.createReadStream(filePath), size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  name,
+  put,
+  remove,
+  getSignedUrl,
+  verifyToken,
+  open
+};
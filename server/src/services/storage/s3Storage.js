@@ -0,0 +1,50 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+const { S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE } = require('../../config/storage');
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, ...). Credentials come from the usual
+ * AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY environment variables. Files are served
+ * straight from the bucket through presigned URLs.
+ */
+
+const name = 's3';
+
+let client = null;
+
+const getClient = () => {
+  if (!S3_BUCKET) {
+    throw new Error('S3 bucket is not configured');
+  }
+  if (!client) {
+    client = new S3Client({
+      region: S3_REGION,
+      endpoint: S3_ENDPOINT || undefined,
+      forcePathStyle: S3_FORCE_PATH_STYLE
+    });
+  }
+  return client;
+};
+
+const put = async (key, buffer, contentType) => {
+  await getClient().send(new PutObjectCommand({
+    Bucket: S3_BUCKET,
+    Key: key,
+    Body: buffer,
+    ContentType: contentType
+  }));
+};
+
+const remove = async (key) => {
+  await getClient().send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+};
+
+const getSignedUrl = (key, expiresIn) =>
+  presign(getClient(), new GetObjectCommand({ Bucket: S3_BUCKET, Key: key }), { expiresIn });
+
+module.exports = {
+  name,
+  put,
+  remove,
+  getSignedUrl
+};
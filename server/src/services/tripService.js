@@ -0,0 +1,180 @@
+const Ambulance = require('../models/Ambulance');
+const Emergency = require('../models/Emergency');
+const LocationHistory = require('../models/LocationHistory');
+const { MAX_PLAUSIBLE_SPEED_KMH } = require('../config/tracking');
+const { haversineDistance } = require('../utils/geoUtils');
+
+// Timeline entries that open and close each leg, in order of preference
+const LEGS = {
+  toPatient: {
+    start: ['ambulance_assigned'],
+    end: ['ambulance_arrived_at_patient', 'patient_picked_up']
+  },
+  toHospital: {
+    start: ['patient_picked_up'],
+    end: ['arrived_at_hospital', 'emergency_completed']
+  }
+};
+
+/**
+ * Time of the latest timeline entry with one of the given statuses, first match wins
+ */
+const findTimelineTime = (timeline, statuses) => {
+  for (const status of statuses) {
+    const entries = timeline.filter(entry => entry.status === status);
+    if (entries.length > 0) {
+      return entries[entries.length - 1].time;
+    }
+  }
+  return null;
+};
+
+/**
+ * Sum the distance along a trail, skipping points that imply an impossible speed
+ * @param {Array} points - Trail points {lat, lng, recordedAt}, oldest first
+ * @returns {Number} Distance in meters
+ */
+const measureTrail = (points) => {
+  let distance = 0;
+  let previous = null;
+
+  for (const point of points) {
+    if (previous) {
+      const meters = haversineDistance(previous, point);
+      const hours = (new Date(point.recordedAt) - new Date(previous.recordedAt)) / 3600000;
+
+      // A jump faster than any ambulance drives is a bad fix, ignore the point
+      if (hours > 0 && meters / 1000 / hours > MAX_PLAUSIBLE_SPEED_KMH) {
+        continue;
+      }
+      distance += meters;
+    }
+    previous = point;
+  }
+
+  return Math.round(distance);
+};
+
+/**
+ * Work out the distance driven on each leg of an emergency from its recorded trail
+ * @param {Object} emergency - Emergency document with its timeline
+ * @returns {Promise<Object>} {toPatient, toHospital, totalDistance}
+ */
+const calculateTripDistance = async (emergency) => {
+  const trail = await LocationHistory.getTrail(emergency._id);
+  const trip = {};
+
+  for (const [leg, bounds] of Object.entries(LEGS)) {
+    const start = findTimelineTime(emergency.timeline, bounds.start);
+    const end = findTimelineTime(emergency.timeline, bounds.end);
+
+    const points = start && end
+      ? trail.filter(point => point.recordedAt >= start && point.recordedAt <= end)
+      : [];
+
+    trip[leg] = {
+      distance: measureTrail(points),
+      points: points.length
+    };
+  }
+
+  trip.totalDistance = trip.toPatient.distance + trip.toHospital.distance;
+  return trip;
+};
+
+/**
+ * Store the distance driven on a completed emergency and add it to the ambulance mileage.
+ * Each emergency is only counted once.
+ * @param {Object} emergency - Completed emergency document
+ * @returns {Promise<Object|null>} The stored trip, or null if it was already recorded
+ */
+const recordTripMileage = async (emergency) => {
+  if (!emergency.ambulance) {
+    return null;
+  }
+
+  const trip = {
+    ...(await calculateTripDistance(emergency)),
+    computedAt: new Date()
+  };
+
+  const result = await Emergency.updateOne(
+    { _id: emergency._id, 'trip.computedAt': null },
+    { trip }
+  );
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+  emergency.trip = trip;
+
+  const ambulanceId = emergency.ambulance._id || emergency.ambulance;
+  await Ambulance.updateOne(
+    { _id: ambulanceId },
+    { $inc: { mileage: Math.round(trip.totalDistance / 100) / 10 } }
+  );
+
+  return trip;
+};
+
+/**
+ * Kilometres driven per ambulance on trips completed within a date range
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @param {Object} filter - Ambulance filter, e.g. {hospital: {$in: [...]}}
+ * @returns {Promise<Array>} One row per ambulance, busiest first
+ */
+const getMileageReport = async (from, to, filter = {}) => {
+  const ambulances = await Ambulance.find(filter)
+    .select('registrationNumber type hospital mileage')
+    .populate('hospital', 'name')
+    .lean();
+
+  const totals = await Emergency.aggregate([
+    {
+      $match: {
+        ambulance: { $in: ambulances.map(ambulance => ambulance._id) },
+        'trip.computedAt': { $gte: from, $lte: to }
+      }
+    },
+    {
+      $group: {
+        _id: '$ambulance',
+        trips: { $sum: 1 },
+        toPatient: { $sum: '$trip.toPatient.distance' },
+        toHospital: { $sum: '$trip.toHospital.distance' },
+        total: { $sum: '$trip.totalDistance' }
+      }
+    }
+  ]);
+
+  const toKm = (meters) => Math.round((meters || 0) / 100) / 10;
+  const totalsById = new Map(totals.map(row => [row._id.toString(), row]));
+
+  return ambulances
+    .map(ambulance => {
+      const row = totalsById.get(ambulance._id.toString()) || {};
+      return {
+        ambulance: {
+          _id: ambulance._id,
+          registrationNumber: ambulance.registrationNumber,
+          type: ambulance.type,
+          hospital: ambulance.hospital
+        },
+        trips: row.trips || 0,
+        kilometres: {
+          toPatient: toKm(row.toPatient),
+          toHospital: toKm(row.toHospital),
+          total: toKm(row.total)
+        },
+        lifetimeMileage: ambulance.mileage
+      };
+    })
+    .sort((a, b) => b.kilometres.total - a.kilometres.total);
+};
+
+module.exports = {
+  measureTrail,
+  calculateTripDistance,
+  recordTripMileage,
+  getMileageReport
+};
@@ -0,0 +1,111 @@
+const { fromLocalTime, isOpenAt, getNextOpening } = require('../hoursUtils');
+
+// London clocks went forward on 31 March 2024 and back on 27 October 2024
+const LONDON = 'Europe/London';
+
+const officeHours = {
+  timezone: LONDON,
+  is24Hours: false,
+  weekdays: { open: '08:00', close: '18:00' },
+  weekend: { open: '10:00', close: '14:00' }
+};
+
+// Open overnight on weekdays, e.g. Friday 20:00 until Saturday 02:00
+const nightHours = {
+  is24Hours: false,
+  weekdays: { open: '20:00', close: '02:00' },
+  weekend: { open: '10:00', close: '14:00' }
+};
+
+const at = (iso) => new Date(iso);
+
+describe('fromLocalTime', () => {
+  it('uses the offset in force on that day', () => {
+    expect(fromLocalTime(Date.UTC(2024, 0, 15), 9 * 60, LONDON)).toEqual(at('2024-01-15T09:00:00Z'));
+    expect(fromLocalTime(Date.UTC(2024, 6, 15), 9 * 60, LONDON)).toEqual(at('2024-07-15T08:00:00Z'));
+  });
+
+  it('moves a time skipped by the clocks going forward past the change', () => {
+    // 01:30 did not happen in London on 31 March 2024
+    expect(fromLocalTime(Date.UTC(2024, 2, 31), 90, LONDON)).toEqual(at('2024-03-31T01:30:00Z'));
+  });
+});
+
+describe('isOpenAt', () => {
+  it('treats a hospital without hours as always open', () => {
+    expect(isOpenAt(undefined, at('2024-01-15T03:00:00Z'), 'UTC')).toBe(true);
+  });
+
+  it('reads the hours in the hospital timezone across a DST change', () => {
+    // Monday 15 January, GMT
+    expect(isOpenAt(officeHours, at('2024-01-15T07:30:00Z'), 'UTC')).toBe(false);
+    expect(isOpenAt(officeHours, at('2024-01-15T08:30:00Z'), 'UTC')).toBe(true);
+
+    // Monday 1 April, BST: 07:30 UTC is 08:30 in London
+    expect(isOpenAt(officeHours, at('2024-04-01T07:30:00Z'), 'UTC')).toBe(true);
+    expect(isOpenAt(officeHours, at('2024-04-01T17:30:00Z'), 'UTC')).toBe(false);
+  });
+
+  it('falls back to the default timezone', () => {
+    const hours = { ...officeHours, timezone: undefined };
+
+    expect(isOpenAt(hours, at('2024-04-01T07:30:00Z'), 'UTC')).toBe(false);
+    expect(isOpenAt(hours, at('2024-04-01T07:30:00Z'), LONDON)).toBe(true);
+  });
+
+  it('keeps hours that run past midnight open into the next morning', () => {
+    // Friday 19 January late evening, then early Saturday on Friday's hours
+    expect(isOpenAt(nightHours, at('2024-01-19T23:00:00Z'), 'UTC')).toBe(true);
+    expect(isOpenAt(nightHours, at('2024-01-20T01:00:00Z'), 'UTC')).toBe(true);
+    expect(isOpenAt(nightHours, at('2024-01-20T03:00:00Z'), 'UTC')).toBe(false);
+
+    // Early Monday follows Sunday's daytime hours, so it is closed
+    expect(isOpenAt(nightHours, at('2024-01-15T01:00:00Z'), 'UTC')).toBe(false);
+  });
+
+  it('lets a holiday close the hospital or change its hours', () => {
+    const hours = {
+      timezone: LONDON,
+      is24Hours: true,
+      holidays: [
+        { date: '2024-12-25', name: 'Christmas Day' },
+        { date: '2024-12-26', name: 'Boxing Day', closed: false, open: '10:00', close: '14:00' }
+      ]
+    };
+
+    expect(isOpenAt(hours, at('2024-12-24T12:00:00Z'), 'UTC')).toBe(true);
+    expect(isOpenAt(hours, at('2024-12-25T12:00:00Z'), 'UTC')).toBe(false);
+    expect(isOpenAt(hours, at('2024-12-26T09:00:00Z'), 'UTC')).toBe(false);
+    expect(isOpenAt(hours, at('2024-12-26T11:00:00Z'), 'UTC')).toBe(true);
+  });
+});
+
+describe('getNextOpening', () => {
+  it('is null while the hospital is open', () => {
+    expect(getNextOpening(officeHours, at('2024-01-15T12:00:00Z'), 'UTC', 14)).toBeNull();
+  });
+
+  it('finds the next opening after the clocks go forward', () => {
+    // Saturday 30 March after closing; the next opening is Sunday 10:00 BST
+    expect(getNextOpening(officeHours, at('2024-03-30T15:00:00Z'), 'UTC', 14))
+      .toEqual(at('2024-03-31T09:00:00Z'));
+  });
+
+  it('finds the same day opening after overnight hours close', () => {
+    expect(getNextOpening(nightHours, at('2024-01-20T03:00:00Z'), 'UTC', 14))
+      .toEqual(at('2024-01-20T10:00:00Z'));
+  });
+
+  it('skips a closed holiday', () => {
+    const hours = { timezone: LONDON, holidays: [{ date: '2024-12-25', name: 'Christmas Day' }] };
+
+    expect(getNextOpening(hours, at('2024-12-25T12:00:00Z'), 'UTC', 14))
+      .toEqual(at('2024-12-26T00:00:00Z'));
+  });
+
+  it('is null when nothing opens within the lookahead', () => {
+    const hours = { is24Hours: false };
+
+    expect(getNextOpening(hours, at('2024-01-15T12:00:00Z'), 'UTC', 14)).toBeNull();
+  });
+});
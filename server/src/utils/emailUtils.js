@@ -0,0 +1,65 @@
+// Initialize the SMTP transport with fallbacks for development mode
+let transporter = null;
+
+// Only initialize the transport if an SMTP server is configured
+try {
+  const nodemailer = require('nodemailer');
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    console.log('Email transport initialized successfully');
+  } else {
+    console.log('SMTP server not configured, email running in mock mode');
+  }
+} catch (error) {
+  console.error('Error initializing email transport:', error.message);
+}
+
+/**
+ * Send a plain text email
+ * @param {String} to - Recipient address
+ * @param {String} subject - Subject line
+ * @param {String} text - Message body
+ * @returns {Promise} Promise object representing the email result
+ */
+const sendEmail = async (to, subject, text) => {
+  try {
+    // If the transport is not initialized, log message and return mock response
+    if (!transporter) {
+      console.log(`[MOCK EMAIL] "${subject}" would be sent to ${to}`);
+      return {
+        success: true,
+        mock: true,
+        messageId: 'MOCK_ID_' + Date.now()
+      };
+    }
+
+    const info = await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text
+    });
+
+    return {
+      success: true,
+      messageId: info.messageId
+    };
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  sendEmail
+};
@@ -0,0 +1,162 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Calculate the great-circle distance between two points
+ * @param {Object} from - Origin coordinates {lat, lng}
+ * @param {Object} to - Destination coordinates {lat, lng}
+ * @returns {Number} Distance in meters
+ */
+const haversineDistance = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Format a distance the same way the maps API does
+ * @param {Number} meters - Distance in meters
+ * @returns {Object} Distance as {text, value}
+ */
+const formatDistance = (meters) => ({
+  text: meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`,
+  value: Math.round(meters)
+});
+
+/**
+ * Format a duration the same way the maps API does
+ * @param {Number} seconds - Duration in seconds
+ * @returns {Object} Duration as {text, value}
+ */
+const formatDuration = (seconds) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  const hours = Math.floor(minutes / 60);
+  const text = hours > 0
+    ? `${hours} hour${hours > 1 ? 's' : ''} ${minutes % 60} mins`
+    : `${minutes} min${minutes > 1 ? 's' : ''}`;
+
+  return {
+    text,
+    value: Math.round(seconds)
+  };
+};
+
+/**
+ * Build a GeoJSON Point from latitude and longitude
+ * @param {Number} lat - Latitude
+ * @param {Number} lng - Longitude
+ * @returns {Object} GeoJSON Point (coordinates are [lng, lat])
+ */
+const toPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [Number(lng), Number(lat)]
+});
+
+/**
+ * Read {lat, lng} from a GeoJSON Point
+ * @param {Object} point - GeoJSON Point
+ * @returns {Object|null} Coordinates {lat, lng} or null if the point is empty
+ */
+const toLatLng = (point) => {
+  if (!point || !Array.isArray(point.coordinates) || point.coordinates.length < 2) {
+    return null;
+  }
+
+  return {
+    lat: point.coordinates[1],
+    lng: point.coordinates[0]
+  };
+};
+
+/**
+ * Distance from a point to the segment between two others, on a local flat projection
+ * @returns {Number} Distance in meters
+ */
+const distanceToSegment = (point, start, end) => {
+  const metersPerDegreeLat = (Math.PI / 180) * EARTH_RADIUS_METERS;
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(toRadians(start.lat));
+  const project = (p) => ({
+    x: (p.lng - start.lng) * metersPerDegreeLng,
+    y: (p.lat - start.lat) * metersPerDegreeLat
+  });
+
+  const p = project(point);
+  const e = project(end);
+  const lengthSquared = e.x * e.x + e.y * e.y;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, (p.x * e.x + p.y * e.y) / lengthSquared));
+
+  return Math.hypot(p.x - t * e.x, p.y - t * e.y);
+};
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm, keeping its first and last points
+ * @param {Array} points - Points with lat and lng, in order
+ * @param {Number} toleranceMeters - Largest deviation from the original path allowed
+ * @returns {Array} The points that are kept
+ */
+const simplifyPath = (points, toleranceMeters) => {
+  if (points.length <= 2 || !(toleranceMeters > 0)) {
+    return points;
+  }
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long trips
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let maxDistance = toleranceMeters;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((_, index) => keep[index]);
+};
+
+/**
+ * Reduce a path to at most maxPoints evenly spaced points, keeping its first and last points
+ * @param {Array} points - Points in order
+ * @param {Number} maxPoints - Maximum number of points to return
+ * @returns {Array} The points that are kept
+ */
+const downsamplePath = (points, maxPoints) => {
+  if (!(maxPoints >= 2) || points.length <= maxPoints) {
+    return points;
+  }
+
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, index) => points[Math.round(index * step)]);
+};
+
+module.exports = {
+  haversineDistance,
+  toPoint,
+  toLatLng,
+  formatDistance,
+  formatDuration,
+  simplifyPath,
+  downsamplePath
+};
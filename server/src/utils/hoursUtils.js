@@ -0,0 +1,182 @@
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = MINUTES_PER_DAY * 60 * 1000;
+
+// One formatter per timezone, they are slow to build
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Check whether a name is an IANA timezone this server knows (e.g. Europe/London)
+ * @param {String} timezone - Timezone name
+ * @returns {Boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Turn "HH:MM" into minutes after midnight; "24:00" is the end of the day
+ * @param {String} time - Time of day
+ * @returns {Number|null} Minutes, or null if not a valid time
+ */
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= MINUTES_PER_DAY ? minutes : null;
+};
+
+// Calendar days are handled as UTC midnights so adding a day never meets a DST change
+const dayKey = (day) => new Date(day).toISOString().slice(0, 10);
+
+/**
+ * Wall clock time at an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timezone - IANA timezone
+ * @returns {Object} {day (UTC midnight of the local date, in ms), minutes}
+ */
+const localTime = (date, timezone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+
+  return {
+    day: Date.UTC(parts.year, parts.month - 1, parts.day),
+    minutes: parts.hour * 60 + parts.minute
+  };
+};
+
+/**
+ * The instant a local wall clock time happens in a timezone. Times skipped by a DST
+ * change resolve to just after the change.
+ * @param {Number} day - UTC midnight of the local date, in ms
+ * @param {Number} minutes - Minutes after local midnight
+ * @param {String} timezone - IANA timezone
+ * @returns {Date}
+ */
+const fromLocalTime = (day, minutes, timezone) => {
+  const wanted = day + minutes * 60 * 1000;
+  let instant = wanted;
+
+  // Correct by the zone's offset at the guess, twice to settle around DST changes
+  for (let i = 0; i < 2; i += 1) {
+    const local = localTime(new Date(instant), timezone);
+    instant += wanted - (local.day + local.minutes * 60 * 1000);
+  }
+
+  return new Date(instant);
+};
+
+/**
+ * Opening hours of one local date, holidays first
+ * @param {Object} hours - Hospital operatingHours
+ * @param {Number} day - UTC midnight of the local date, in ms
+ * @returns {Object|null} {open, close} in minutes (close before open runs past midnight),
+ *                        or null when closed all day
+ */
+const getDaySchedule = (hours, day) => {
+  const holiday = (hours.holidays || []).find(entry => entry.date === dayKey(day));
+  let schedule;
+
+  if (holiday) {
+    if (holiday.closed !== false) {
+      return null;
+    }
+    schedule = holiday;
+  } else if (hours.is24Hours !== false) {
+    return { open: 0, close: MINUTES_PER_DAY };
+  } else {
+    const weekday = new Date(day).getUTCDay();
+    schedule = weekday === 0 || weekday === 6 ? hours.weekend : hours.weekdays;
+  }
+
+  const open = toMinutes(schedule && schedule.open);
+  const close = toMinutes(schedule && schedule.close);
+
+  return open === null || close === null || open === close ? null : { open, close };
+};
+
+/**
+ * Check whether a hospital is open at an instant, in its own timezone. Hours that run
+ * past midnight (e.g. 20:00 - 02:00) keep the hospital open into the next morning.
+ * @param {Object} hours - Hospital operatingHours
+ * @param {Date} date - Instant
+ * @param {String} defaultTimezone - Used when the hospital has none
+ * @returns {Boolean}
+ */
+const isOpenAt = (hours, date, defaultTimezone) => {
+  if (!hours) {
+    return true;
+  }
+
+  const { day, minutes } = localTime(date, hours.timezone || defaultTimezone);
+
+  const today = getDaySchedule(hours, day);
+  if (today && minutes >= today.open && (today.close < today.open || minutes < today.close)) {
+    return true;
+  }
+
+  const yesterday = getDaySchedule(hours, day - MS_PER_DAY);
+  return !!yesterday && yesterday.close < yesterday.open && minutes < yesterday.close;
+};
+
+/**
+ * When a closed hospital next opens
+ * @param {Object} hours - Hospital operatingHours
+ * @param {Date} date - Instant to look from
+ * @param {String} defaultTimezone - Used when the hospital has none
+ * @param {Number} lookaheadDays - How far ahead to look
+ * @returns {Date|null} The opening, or null when open now or not opening in that time
+ */
+const getNextOpening = (hours, date, defaultTimezone, lookaheadDays) => {
+  if (isOpenAt(hours, date, defaultTimezone)) {
+    return null;
+  }
+
+  const timezone = hours.timezone || defaultTimezone;
+  const { day } = localTime(date, timezone);
+
+  for (let offset = 0; offset <= lookaheadDays; offset += 1) {
+    const candidate = day + offset * MS_PER_DAY;
+    const schedule = getDaySchedule(hours, candidate);
+    if (schedule) {
+      const opening = fromLocalTime(candidate, schedule.open, timezone);
+      if (opening > date) {
+        return opening;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  isValidTimezone,
+  toMinutes,
+  localTime,
+  fromLocalTime,
+  getDaySchedule,
+  isOpenAt,
+  getNextOpening
+};
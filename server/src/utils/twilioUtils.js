@@ -138,8 +138,46 @@ const notifyDriver = async (phoneNumber, emergencyInfo) => {
   }
 };
 
+/**
+ * Send an operational alert
+ * @param {String} phoneNumber - Recipient phone number (with country code)
+ * @param {String} text - Alert text
+ * @returns {Promise} Promise object representing the SMS result
+ */
+const sendAlert = async (phoneNumber, text) => {
+  try {
+    // If Twilio is not initialized, log message and return mock response
+    if (!client) {
+      console.log(`[MOCK SMS] Alert "${text}" would be sent to ${phoneNumber}`);
+      return {
+        success: true,
+        mock: true,
+        sid: 'MOCK_SID_' + Date.now()
+      };
+    }
+
+    const message = await client.messages.create({
+      body: text,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: phoneNumber
+    });
+
+    return {
+      success: true,
+      sid: message.sid
+    };
+  } catch (error) {
+    console.error('Error sending alert SMS:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 module.exports = {
   sendOTP,
   sendEmergencyConfirmation,
-  notifyDriver
+  notifyDriver,
+  sendAlert
 }; 
\ No newline at end of file